@@ -1,13 +1,26 @@
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const nodemailer = require('nodemailer');
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a proxy (e.g. Vercel), TRUST_PROXY makes req.ip the client address
+// for the per-IP view limits: a hop count, "true", or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -22,7 +35,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'user-email']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Id']
 }));
 app.use(express.json());
 
@@ -72,41 +85,173 @@ app.get('/keep-alive', (req, res) => {
   });
 });
 
-// Simple authentication middleware that checks user email
-const createVerifyUser = (usersCollection) => {
+// Access tokens issued by POST /jwt (and later by the local auth routes)
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '1h';
+
+const signAccessToken = (email, sessionId) => {
+  const payload = sessionId ? { email, sid: sessionId } : { email };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    algorithm: 'HS256',
+    subject: email,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+// Firebase ID tokens are RS256 tokens signed with Google's rotating keys.
+// FIREBASE_JWKS_URL can point at a local stub for development and tests.
+const FIREBASE_JWKS_URL = process.env.FIREBASE_JWKS_URL ||
+  'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+let firebaseKeyCache = { keys: {}, expiresAt: 0, fetchedAt: 0 };
+// An unknown kid triggers at most one refetch per cooldown, so tokens with
+// made-up kids can't make us hit the JWKS endpoint on every request
+const FIREBASE_KEY_REFETCH_COOLDOWN_MS = 60 * 1000;
+
+const isFirebaseConfigured = () => Boolean(process.env.FIREBASE_PROJECT_ID);
+
+const loadFirebaseKeys = async () => {
+  const response = await fetch(FIREBASE_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Firebase signing keys (${response.status})`);
+  }
+
+  const { keys = [] } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+  firebaseKeyCache = {
+    keys: Object.fromEntries(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : 60 * 60 * 1000),
+    fetchedAt: Date.now()
+  };
+};
+
+const getFirebaseKey = async (kid) => {
+  const expired = Date.now() >= firebaseKeyCache.expiresAt;
+  const unknownKid = !firebaseKeyCache.keys[kid] && Date.now() - firebaseKeyCache.fetchedAt >= FIREBASE_KEY_REFETCH_COOLDOWN_MS;
+  if (expired || unknownKid) {
+    await loadFirebaseKeys();
+  }
+  return firebaseKeyCache.keys[kid];
+};
+
+const verifyFirebaseToken = async (token, header) => {
+  const key = await getFirebaseKey(header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  const payload = jwt.verify(token, key, {
+    algorithms: ['RS256'],
+    audience: projectId,
+    issuer: process.env.FIREBASE_ISSUER || `https://securetoken.google.com/${projectId}`
+  });
+
+  if (!payload.email) {
+    throw new jwt.JsonWebTokenError('token has no email claim');
+  }
+  // Anyone can sign up with someone else's address; only a verified email
+  // proves ownership of the account it maps to
+  if (payload.email_verified !== true) {
+    throw new jwt.JsonWebTokenError('email not verified');
+  }
+  return { ...payload, email: normalizeEmail(payload.email) };
+};
+
+// Verifies either one of our HS256 tokens or a Firebase ID token and
+// returns its claims with `email` set to the authenticated user's email
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('malformed token');
+  }
+
+  if (decoded.header.alg === 'HS256') {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    if (!payload.sub) {
+      throw new jwt.JsonWebTokenError('token has no subject');
+    }
+    return { ...payload, email: payload.sub };
+  }
+
+  if (decoded.header.alg === 'RS256' && isFirebaseConfigured()) {
+    return verifyFirebaseToken(token, decoded.header);
+  }
+
+  throw new jwt.JsonWebTokenError('unsupported token');
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const ACCOUNT_FRAUD_ERROR = {
+  error: true,
+  code: 'ACCOUNT_FRAUD',
+  message: 'Access denied. This account has been marked as fraud.'
+};
+
+// Resolves a bearer token to { decoded, user }, or to { status, body } with
+// the error response for it. Shared by the required and optional auth middleware.
+const authenticateToken = async (token, usersCollection, sessionStore) => {
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    // TokenExpiredError and NotBeforeError both extend JsonWebTokenError
+    if (error instanceof jwt.JsonWebTokenError) {
+      const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+      return { status: 401, body: { error: true, message } };
+    }
+    console.error('Error verifying access token:', error);
+    return { status: 500, body: { error: true, message: 'Authentication error' } };
+  }
+
+  const user = await usersCollection.findOne({ email: decoded.email });
+  if (!user) {
+    return { status: 401, body: { error: true, message: 'User not found' } };
+  }
+
+  // Tokens tied to a session follow that session's state exactly. Others
+  // (Firebase ID tokens) are checked against tokensRevokedAt; iat only has
+  // second precision, so a token from the revocation second is rejected too.
+  const revokedBefore = user.tokensRevokedAt && Math.floor(user.tokensRevokedAt.getTime() / 1000);
+  const tokenRevoked = decoded.sid
+    ? !(await sessionStore.isSessionActive(decoded.sid))
+    : Boolean(revokedBefore && decoded.iat <= revokedBefore);
+  if (tokenRevoked) {
+    return { status: 401, body: { error: true, code: 'SESSION_REVOKED', message: 'Session has been revoked' } };
+  }
+
+  if (user.role === 'fraud') {
+    return { status: 403, body: ACCOUNT_FRAUD_ERROR };
+  }
+
+  return { decoded, user };
+};
+
+// Authentication middleware: requires a valid bearer token and loads the
+// user it was issued for
+const createVerifyUser = (usersCollection, sessionStore) => {
   return async (req, res, next) => {
-    console.log('verifyUser middleware called');
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).send({ error: true, message: 'Unauthorized access' });
+    }
+
     try {
-      const userEmail = req.headers['user-email'];
-      if (!userEmail) {
-        console.log('No user email header found');
-        return res.status(401).send({ error: true, message: 'User email required' });
-      }
-      
-      console.log('User email from header:', userEmail);
-      
-      // Check if user exists in database
-      const user = await usersCollection.findOne({ email: userEmail });
-      if (!user) {
-        console.log('User not found in database:', userEmail);
-        console.log('Creating temporary user for testing...');
-        // For testing, create a temporary user
-        const tempUser = {
-          email: userEmail,
-          role: 'user',
-          name: userEmail.split('@')[0],
-          createdAt: new Date()
-        };
-        await usersCollection.insertOne(tempUser);
-        req.user = tempUser;
-        req.userEmail = userEmail;
-        next();
-        return;
+      const { decoded, user, status, body } = await authenticateToken(token, usersCollection, sessionStore);
+      if (status) {
+        return res.status(status).send(body);
       }
-      
-      console.log('User verified successfully:', userEmail);
+
+      req.decoded = decoded;
       req.user = user;
-      req.userEmail = userEmail;
+      req.userEmail = user.email;
       next();
     } catch (error) {
       console.error('Error in verifyUser middleware:', error);
@@ -115,208 +260,1391 @@ const createVerifyUser = (usersCollection) => {
   };
 };
 
-// Role verification middleware
-const verifyAgent = async (req, res, next) => {
-  try {
-    const user = req.user; // User is already set by verifyUser middleware
-    
-    if (user.role !== 'agent' && user.role !== 'admin') {
-      return res.status(403).send({ 
-        error: true, 
-        message: 'Access denied. Only agents can add properties.' 
+// For public routes that behave differently for signed-in users (e.g. admin
+// views). Sets req.user only for a fully valid token; anything else is
+// treated as anonymous rather than rejected.
+const createOptionalUser = (usersCollection, sessionStore) => {
+  return async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    try {
+      const { decoded, user } = await authenticateToken(token, usersCollection, sessionStore);
+      if (user) {
+        req.decoded = decoded;
+        req.user = user;
+        req.userEmail = user.email;
+      }
+    } catch (error) {
+      console.error('Error in optionalUser middleware:', error);
+    }
+    next();
+  };
+};
+
+// Role verification middleware. Must run after verifyUser; denials carry a
+// machine-readable `code` so the frontend can tell them apart.
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    const user = req.user;
+
+    if (!user) {
+      return res.status(401).send({ error: true, message: 'Unauthorized access' });
+    }
+
+    if (user.role === 'fraud') {
+      return res.status(403).send(ACCOUNT_FRAUD_ERROR);
+    }
+
+    if (!roles.includes(user.role)) {
+      return res.status(403).send({
+        error: true,
+        code: 'INSUFFICIENT_ROLE',
+        message: `Access denied. Requires role: ${roles.join(' or ')}.`,
+        requiredRoles: roles
       });
     }
-    
+
     next();
-  } catch (error) {
-    console.error('Error verifying agent role:', error);
-    res.status(500).send({ error: true, message: 'Internal server error' });
-  }
+  };
 };
 
-async function run() {
-  try {
-    await client.connect();
-    
-    const database = client.db('realEstateDB');
-    const usersCollection = database.collection('users');
-    const propertiesCollection = database.collection('properties');
-    const wishlistCollection = database.collection('wishlist');
-    const offersCollection = database.collection('offers');
-    const reviewsCollection = database.collection('reviews');
-    const reportsCollection = database.collection('reports');
+const OPEN_OFFER_STATUSES = ['pending', 'accepted'];
 
-    // Create the verifyUser middleware with access to usersCollection
-    const verifyUser = createVerifyUser(usersCollection);
+// Sale lifecycle of a listing, separate from its moderation status.
+// Listings saved before the field existed have no saleStatus and count as available.
+const SALE_STATUSES = ['available', 'under-offer', 'sold', 'withdrawn'];
+const saleStatusOf = (property) => property.saleStatus || 'available';
+const saleStatusFilter = (statuses) => statuses.includes('available') ? [...statuses, null] : statuses;
 
-    // Health check endpoint
-    app.get('/health', (req, res) => {
-      console.log('Health check called');
-      res.json({ status: 'OK', message: 'Server is running', timestamp: new Date().toISOString() });
-    });
+// Moderation statuses a listing can be filtered by in the admin queue and export
+const MODERATION_QUEUE_STATUSES = ['pending', 'verified', 'rejected'];
 
-    // Test route to check users
-    app.get('/test-users', async (req, res) => {
-      try {
-        console.log('Test users endpoint called');
-        const users = await usersCollection.find({}).limit(5).toArray();
-        console.log('Users in database:', users.length);
-        res.json({ count: users.length, users: users.map(u => ({ email: u.email, role: u.role })) });
-      } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ error: 'Failed to fetch users' });
-      }
-    });
+// Soft-deleted properties keep their document until the purge job removes them
+const NOT_DELETED = { deletedAt: { $exists: false } };
+const PROPERTY_RETENTION_DAYS = parseInt(process.env.PROPERTY_RETENTION_DAYS) || 30;
 
-    // Welcome Route & API Documentation
-    app.get('/', (req, res) => {
-      const html = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Real Estate Platform API Documentation</title>
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
-            .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; margin-bottom: 30px; text-align: center; }
-            .header h1 { font-size: 2.5rem; margin-bottom: 10px; }
-            .header p { font-size: 1.2rem; opacity: 0.9; }
-            .live-link { background: #28a745; color: white; padding: 15px 30px; border: none; border-radius: 5px; font-size: 1.1rem; text-decoration: none; display: inline-block; margin: 20px 10px; transition: background 0.3s; }
-            .live-link:hover { background: #218838; }
-            .status { display: flex; justify-content: space-around; margin-bottom: 30px; }
-            .status-card { background: white; padding: 20px; border-radius: 10px; text-align: center; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-            .status-card h3 { color: #28a745; margin-bottom: 10px; }
-            .api-section { background: white; margin-bottom: 30px; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-            .api-header { background: #6c757d; color: white; padding: 20px; font-size: 1.3rem; font-weight: bold; }
-            .api-content { padding: 20px; }
-            .endpoint { margin-bottom: 20px; padding: 15px; border-left: 4px solid #007bff; background: #f8f9fa; }
-            .method { font-weight: bold; color: white; padding: 5px 10px; border-radius: 3px; margin-right: 10px; }
-            .get { background: #28a745; }
-            .post { background: #007bff; }
-            .put { background: #ffc107; color: #333; }
-            .patch { background: #17a2b8; }
-            .delete { background: #dc3545; }
-            .endpoint-url { font-family: 'Courier New', monospace; font-weight: bold; margin: 5px 0; }
-            .endpoint-desc { color: #666; margin: 5px 0; }
-            .params { background: #e9ecef; padding: 10px; border-radius: 5px; margin: 10px 0; }
-            .footer { text-align: center; padding: 30px; color: #666; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>🏠 Real Estate Platform API</h1>
-              <p>Comprehensive RESTful API for Property Management System</p>
-              <p><strong>Version:</strong> 1.0.0 | <strong>Status:</strong> ✅ Running</p>
-              <div>
-                <a href="https://b11a12elite.netlify.app" class="live-link" target="_blank">🌐 Live Frontend</a>
-                <a href="/api" class="live-link" target="_blank">📋 JSON API Docs</a>
-              </div>
-            </div>
+// The /jobs routes are run by an external scheduler (cron) sending
+// CRON_SECRET as its Bearer token, or by an admin. Each job holds a lease in
+// jobLocks while it runs, so overlapping calls from several instances or a
+// slow previous run are rejected; a crashed run's lease expires on its own.
+const JOB_LOCK_LEASE_MS = 30 * 60 * 1000;
 
-            <div class="status">
-              <div class="status-card">
-                <h3>✅ Server Status</h3>
-                <p>Running on Port ${port}</p>
-              </div>
-              <div class="status-card">
-                <h3>✅ Database</h3>
-                <p>MongoDB Connected</p>
-              </div>
-              <div class="status-card">
-                <h3>✅ CORS</h3>
-                <p>Frontend Enabled</p>
-              </div>
-            </div>
+// Featured listings: how many are shown at once, and how many campaigns may
+// run concurrently (they take turns in the featured slots)
+const FEATURED_SLOTS = parseInt(process.env.FEATURED_SLOTS) || 4;
+const MAX_ACTIVE_CAMPAIGNS = parseInt(process.env.MAX_ACTIVE_CAMPAIGNS) || 12;
+const DEFAULT_CAMPAIGN_DAYS = 30;
 
-            <div class="api-section">
-              <div class="api-header">🔐 Authentication Endpoints</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/jwt</div>
-                  <div class="endpoint-desc">Generate JWT token for user authentication</div>
-                  <div class="params"><strong>Body:</strong> { user: Object } - User data from Firebase</div>
-                </div>
-              </div>
-            </div>
+const requireAdmin = requireRole('admin');
+const requireAgent = requireRole('agent', 'admin');
 
-            <div class="api-section">
-              <div class="api-header">👥 User Management</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/users</div>
-                  <div class="endpoint-desc">Get all users (Admin only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/users</div>
-                  <div class="endpoint-desc">Create or update user profile</div>
-                  <div class="params"><strong>Body:</strong> { uid, email, name, photoURL, role }</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/users/:email</div>
-                  <div class="endpoint-desc">Get user details by email</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/users/admin/:id</div>
-                  <div class="endpoint-desc">Make user admin (Admin only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/users/agent/:id</div>
-                  <div class="endpoint-desc">Make user agent (Admin only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/users/fraud/:id</div>
-                  <div class="endpoint-desc">Mark user as fraud (Admin only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method delete">DELETE</span>
-                  <div class="endpoint-url">/users/:id</div>
-                  <div class="endpoint-desc">Delete user (Admin only)</div>
-                </div>
-              </div>
-            </div>
+// Ownership checks: users may only touch their own resources, admins may
+// touch everything
+const isOwnerOrAdmin = (user, ...ownerEmails) => {
+  return user.role === 'admin' || ownerEmails.filter(Boolean).includes(user.email);
+};
 
-            <div class="api-section">
-              <div class="api-header">🏠 Property Management</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/properties</div>
-                  <div class="endpoint-desc">Get all verified properties with filters</div>
-                  <div class="params"><strong>Query:</strong> search, sort, minPrice, maxPrice, page, limit</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/properties/:id</div>
-                  <div class="endpoint-desc">Get property details by ID</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/properties/agent/:email</div>
-                  <div class="endpoint-desc">Get properties by agent email</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/advertised-properties</div>
-                  <div class="endpoint-desc">Get featured/advertised properties (limit 4)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/properties</div>
-                  <div class="endpoint-desc">Add new property (Agent only)</div>
-                  <div class="params"><strong>Body:</strong> { title, location, image, priceRange, description, agentEmail }</div>
-                </div>
-                <div class="endpoint">
+const sendNotOwner = (res, message = 'Access denied. You do not own this resource.') => {
+  return res.status(403).send({ error: true, code: 'NOT_OWNER', message });
+};
+
+// For routes that take the owner's email as a URL parameter
+const requireSelfOrAdmin = (param = 'email') => {
+  return (req, res, next) => {
+    if (!isOwnerOrAdmin(req.user, req.params[param])) {
+      return sendNotOwner(res);
+    }
+    next();
+  };
+};
+
+// Fields that must never leave the server in a user document
+const USER_PRIVATE_FIELDS = { passwordHash: 0, passwordReset: 0, emailVerification: 0, tokensRevokedAt: 0 };
+
+const sanitizeUser = (user) => {
+  if (!user) return user;
+  const publicUser = { ...user };
+  Object.keys(USER_PRIVATE_FIELDS).forEach(field => delete publicUser[field]);
+  return publicUser;
+};
+
+// Makes user input safe to embed in a $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Numbers in request bodies: finite numbers or plain decimal strings only.
+// Number() alone would turn '' into 0 and true into 1. Returns NaN otherwise.
+const parseNumericInput = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value.trim());
+  return NaN;
+};
+
+// Prices are stored as numeric priceMin/priceMax; priceRange is kept as the
+// display string. Accepts "$300,000 - $400,000", "300000-400000", "$1.2M" etc.
+const parsePriceValue = (text) => {
+  const match = /^\$?\s*(\d[\d,]*(?:\.\d+)?)\s*([km])?$/i.exec(text.trim());
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier);
+};
+
+const parsePriceRange = (priceRange) => {
+  if (typeof priceRange !== 'string' || !priceRange.trim()) return null;
+
+  const parts = priceRange.trim().split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (parts.length > 2) return null;
+
+  const values = parts.map(parsePriceValue);
+  if (values.some(value => value === null)) return null;
+
+  const [priceMin, priceMax = priceMin] = values;
+  return priceMin <= priceMax ? { priceMin, priceMax } : null;
+};
+
+const formatPriceRange = (priceMin, priceMax) => {
+  const format = (value) => `$${value.toLocaleString('en-US')}`;
+  return priceMin === priceMax ? format(priceMin) : `${format(priceMin)} - ${format(priceMax)}`;
+};
+
+// Reads price fields from a request body. Returns { values } (null when no
+// price was given and none is required) or { error }.
+const normalizePriceInput = (body, { required = false } = {}) => {
+  const hasNumbers = body.priceMin !== undefined || body.priceMax !== undefined;
+
+  if (hasNumbers) {
+    const priceMin = parseNumericInput(body.priceMin !== undefined ? body.priceMin : body.priceMax);
+    const priceMax = parseNumericInput(body.priceMax !== undefined ? body.priceMax : body.priceMin);
+    if (!Number.isFinite(priceMin) || !Number.isFinite(priceMax) || priceMin < 0) {
+      return { error: 'priceMin and priceMax must be non-negative numbers' };
+    }
+    if (priceMax < priceMin) {
+      return { error: 'priceMax must be greater than or equal to priceMin' };
+    }
+    return { values: { priceMin, priceMax, priceRange: formatPriceRange(priceMin, priceMax) } };
+  }
+
+  if (body.priceRange !== undefined) {
+    const parsed = parsePriceRange(body.priceRange);
+    if (!parsed) {
+      return { error: 'priceRange must look like "$300,000 - $400,000"' };
+    }
+    return { values: { ...parsed, priceRange: body.priceRange.trim() } };
+  }
+
+  return required ? { error: 'A price is required (priceMin/priceMax or priceRange)' } : { values: null };
+};
+
+// Search helpers. MongoDB's $text handles "quoted phrases" and -exclusions
+// itself; these only work out which words to highlight in the results.
+const parseSearchTerms = (search) => {
+  const phrases = [...search.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const words = search
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'));
+  return [...phrases, ...words];
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Returns an HTML-escaped excerpt of text with matches wrapped in <mark>,
+// or null when nothing matches. Terms match word prefixes so that stemmed
+// matches ("houses" for "house") are marked too.
+const highlightText = (text, terms, maxLength = 160) => {
+  if (typeof text !== 'string' || !text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(?<!\\w)(${terms.map(escapeRegex).join('|')})`, 'i');
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, match.index - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+  }
+
+  const excerpt = text.slice(start, end);
+  const splitPattern = new RegExp(`(?<!\\w)(${terms.map(escapeRegex).join('|')})`, 'gi');
+  const highlighted = excerpt
+    .split(splitPattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+const buildSearchHighlights = (property, terms) => {
+  const highlights = {};
+  for (const field of ['title', 'location', 'description']) {
+    const snippet = highlightText(property[field], terms);
+    if (snippet) highlights[field] = snippet;
+  }
+  return highlights;
+};
+
+// Properties can carry an optional GeoJSON point in `geoLocation`
+const parseCoordinate = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+const isValidLatLng = (lat, lng) => {
+  return Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+};
+
+const toGeoPoint = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// Reads latitude/longitude (or a GeoJSON geoLocation) from a request body.
+// Returns { values } (null when absent, geoLocation null to clear) or { error }.
+const normalizeGeoInput = (body) => {
+  let lat;
+  let lng;
+
+  if (body.geoLocation === null) {
+    return { values: { geoLocation: null } };
+  } else if (body.geoLocation !== undefined) {
+    const point = body.geoLocation;
+    if (!point || point.type !== 'Point' || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) {
+      return { error: 'geoLocation must be a GeoJSON Point' };
+    }
+    [lng, lat] = point.coordinates.map(parseCoordinate);
+  } else if (body.latitude !== undefined || body.longitude !== undefined) {
+    lat = parseCoordinate(body.latitude);
+    lng = parseCoordinate(body.longitude);
+  } else {
+    return { values: null };
+  }
+
+  if (!isValidLatLng(lat, lng)) {
+    return { error: 'Coordinates must be a valid latitude (-90 to 90) and longitude (-180 to 180)' };
+  }
+  return { values: { geoLocation: toGeoPoint(lat, lng) } };
+};
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Map query modes for GET /properties: near=lat,lng&radiusKm= and
+// bbox=minLng,minLat,maxLng,maxLat. Returns { geo } (null when unused) or { error }.
+const parseGeoQuery = ({ near, radiusKm, bbox }) => {
+  if (!near && !bbox) return { geo: null };
+
+  const geo = {};
+
+  if (near) {
+    const [lat, lng] = String(near).split(',').map(parseCoordinate);
+    if (!isValidLatLng(lat, lng)) {
+      return { error: 'near must be "lat,lng" with valid coordinates' };
+    }
+    const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : parseFloat(radiusKm);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+    }
+    geo.point = toGeoPoint(lat, lng);
+    geo.maxDistance = radius * 1000;
+  }
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = String(bbox).split(',').map(parseCoordinate);
+    if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng) || minLng >= maxLng || minLat >= maxLat) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat" with valid coordinates' };
+    }
+    geo.within = {
+      type: 'Polygon',
+      coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+    };
+    // Distances in bbox mode are measured from the centre of the box
+    geo.point = geo.point || toGeoPoint((minLat + maxLat) / 2, (minLng + maxLng) / 2);
+  }
+
+  return { geo };
+};
+
+// Structured property attributes. Area is stored as entered plus a
+// normalized areaSqft used for filtering.
+const PROPERTY_TYPES = ['apartment', 'house', 'land', 'commercial'];
+const AREA_UNITS_IN_SQFT = { sqft: 1, sqm: 10.7639, acre: 43560, hectare: 107639 };
+const PROPERTY_AMENITIES = [
+  'air-conditioning', 'balcony', 'elevator', 'fireplace', 'furnished', 'garden',
+  'gym', 'laundry', 'pet-friendly', 'pool', 'security', 'storage'
+];
+
+// Reads attribute fields from a request body. Returns { values } or { error };
+// a field sent as null is returned as null so updates can clear it, and an
+// empty string is treated as not sent (blank form inputs).
+const normalizeAttributesInput = (body) => {
+  const values = {};
+  const errors = [];
+
+  const readNumber = (field, { min, max, integer = false, step }) => {
+    if (body[field] === undefined || body[field] === '') return;
+    if (body[field] === null) {
+      values[field] = null;
+      return;
+    }
+    const value = parseNumericInput(body[field]);
+    const valid = Number.isFinite(value) && value >= min && value <= max &&
+      (!integer || Number.isInteger(value)) && (!step || Number.isInteger(value / step));
+    if (!valid) {
+      errors.push(`${field} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max}`);
+      return;
+    }
+    values[field] = value;
+  };
+
+  if (body.propertyType === null) {
+    values.propertyType = null;
+  } else if (body.propertyType !== undefined) {
+    if (PROPERTY_TYPES.includes(body.propertyType)) {
+      values.propertyType = body.propertyType;
+    } else {
+      errors.push(`propertyType must be one of: ${PROPERTY_TYPES.join(', ')}`);
+    }
+  }
+
+  readNumber('bedrooms', { min: 0, max: 50, integer: true });
+  readNumber('bathrooms', { min: 0, max: 50, step: 0.5 });
+  readNumber('parking', { min: 0, max: 100, integer: true });
+  readNumber('yearBuilt', { min: 1800, max: new Date().getFullYear() + 5, integer: true });
+
+  if (body.area === null) {
+    values.area = null;
+    values.areaSqft = null;
+  } else if (body.area !== undefined) {
+    const { value, unit = 'sqft' } = body.area || {};
+    const areaValue = parseNumericInput(value);
+    if (!Number.isFinite(areaValue) || areaValue <= 0 || !AREA_UNITS_IN_SQFT[unit]) {
+      errors.push(`area must be { value, unit } with a positive value and unit one of: ${Object.keys(AREA_UNITS_IN_SQFT).join(', ')}`);
+    } else {
+      values.area = { value: areaValue, unit };
+      values.areaSqft = Math.round(areaValue * AREA_UNITS_IN_SQFT[unit]);
+    }
+  }
+
+  if (body.amenities === null) {
+    values.amenities = null;
+  } else if (body.amenities !== undefined) {
+    // Same comma-separated form as the amenities query filter
+    const amenities = typeof body.amenities === 'string'
+      ? body.amenities.split(',').map(amenity => amenity.trim()).filter(Boolean)
+      : body.amenities;
+    const unknown = Array.isArray(amenities)
+      ? amenities.filter(amenity => !PROPERTY_AMENITIES.includes(amenity))
+      : null;
+    if (!unknown || unknown.length > 0) {
+      errors.push(`amenities must be a list (or comma-separated string) of: ${PROPERTY_AMENITIES.join(', ')}`);
+    } else {
+      values.amenities = [...new Set(amenities)];
+    }
+  }
+
+  return errors.length > 0 ? { error: errors.join('; ') } : { values };
+};
+
+// Filters for the attribute query parameters of GET /properties
+const buildAttributeFilters = (params) => {
+  const filters = {};
+  const toList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const range = (min, max) => {
+    const condition = {};
+    if (Number.isFinite(parseFloat(min))) condition.$gte = parseFloat(min);
+    if (Number.isFinite(parseFloat(max))) condition.$lte = parseFloat(max);
+    return Object.keys(condition).length > 0 ? condition : null;
+  };
+
+  if (params.propertyType) filters.propertyType = { $in: toList(params.propertyType) };
+  if (params.amenities) filters.amenities = { $all: toList(params.amenities) };
+
+  const conditions = {
+    bedrooms: params.bedrooms !== undefined ? range(params.bedrooms, params.bedrooms) : range(params.minBedrooms, params.maxBedrooms),
+    bathrooms: range(params.minBathrooms, params.maxBathrooms),
+    areaSqft: range(params.minArea, params.maxArea),
+    yearBuilt: range(params.minYearBuilt, params.maxYearBuilt),
+    parking: range(params.minParking)
+  };
+  Object.entries(conditions).forEach(([field, condition]) => {
+    if (condition) filters[field] = condition;
+  });
+
+  return filters;
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $ne: null } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Facet counts for the filter sidebar, computed over the current filters
+const PROPERTY_FACETS = {
+  propertyType: countBy('propertyType'),
+  bedrooms: countBy('bedrooms'),
+  bathrooms: countBy('bathrooms'),
+  parking: countBy('parking'),
+  amenities: [
+    { $unwind: '$amenities' },
+    { $sortByCount: '$amenities' },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ],
+  propertyTypeBedrooms: [
+    { $match: { propertyType: { $ne: null }, bedrooms: { $ne: null } } },
+    { $group: { _id: { propertyType: '$propertyType', bedrooms: '$bedrooms' }, count: { $sum: 1 } } },
+    { $sort: { '_id.propertyType': 1, '_id.bedrooms': 1 } },
+    { $project: { _id: 0, propertyType: '$_id.propertyType', bedrooms: '$_id.bedrooms', count: 1 } }
+  ]
+};
+
+// Validates the client-supplied fields of a new listing (POST /properties and
+// CSV imports). Returns { property } with only known fields, or { error }.
+// Agent, status and timestamps are left to the caller.
+const normalizeNewPropertyInput = (body) => {
+  if (typeof body.title !== 'string' || !body.title.trim() || typeof body.location !== 'string' || !body.location.trim()) {
+    return { error: 'title and location are required' };
+  }
+
+  const property = {
+    title: body.title.trim(),
+    location: body.location.trim(),
+    image: body.image,
+    description: body.description,
+    agentName: body.agentName,
+    agentEmail: body.agentEmail,
+    agentImage: body.agentImage
+  };
+  Object.keys(property).forEach(field => property[field] === undefined && delete property[field]);
+
+  const price = normalizePriceInput(body, { required: true });
+  if (price.error) return { error: price.error };
+  Object.assign(property, price.values);
+
+  const geo = normalizeGeoInput(body);
+  if (geo.error) return { error: geo.error };
+  if (geo.values && geo.values.geoLocation) {
+    property.geoLocation = geo.values.geoLocation;
+  }
+
+  const attributes = normalizeAttributesInput(body);
+  if (attributes.error) return { error: attributes.error };
+  Object.entries(attributes.values).forEach(([field, value]) => {
+    if (value !== null) property[field] = value;
+  });
+
+  return { property };
+};
+
+// Saved searches store a subset of the GET /properties query parameters.
+// Alerts only ever cover verified listings, so status is not one of them.
+const SAVED_SEARCH_PARAMS = [
+  'search', 'minPrice', 'maxPrice', 'propertyType', 'bedrooms', 'minBedrooms', 'maxBedrooms',
+  'minBathrooms', 'maxBathrooms', 'minArea', 'maxArea', 'minYearBuilt', 'maxYearBuilt',
+  'minParking', 'amenities', 'near', 'radiusKm', 'bbox'
+];
+const MAX_SAVED_SEARCHES = 20;
+const EARTH_RADIUS_KM = 6378.1;
+
+// Returns { values } with the non-empty parameters as strings, or { error }
+const normalizeSavedSearchParams = (params) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'params must be an object of search filters' };
+  }
+  const unknown = Object.keys(params).filter(param => !SAVED_SEARCH_PARAMS.includes(param));
+  if (unknown.length > 0) {
+    return { error: `Unknown search parameters: ${unknown.join(', ')}` };
+  }
+
+  const values = {};
+  Object.entries(params).forEach(([param, value]) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      values[param] = String(value).trim();
+    }
+  });
+  if (Object.keys(values).length === 0) {
+    return { error: 'A saved search needs at least one filter' };
+  }
+
+  const { error } = parseGeoQuery(values);
+  return error ? { error } : { values };
+};
+
+// The listing filter for a saved search's parameters, matching what
+// GET /properties would return for them
+const buildSavedSearchQuery = (params) => {
+  const query = buildAttributeFilters(params);
+  if (params.search) {
+    query.$text = { $search: params.search };
+  }
+
+  const min = parseFloat(params.minPrice);
+  const max = parseFloat(params.maxPrice);
+  if (Number.isFinite(min)) query.priceMax = { $gte: min };
+  if (Number.isFinite(max)) query.priceMin = { $lte: max };
+
+  // $geoNear only works in aggregations, so "near" becomes a circle here
+  const { geo } = parseGeoQuery(params);
+  const areas = [];
+  if (geo && geo.within) {
+    areas.push({ geoLocation: { $geoWithin: { $geometry: geo.within } } });
+  }
+  if (geo && geo.maxDistance) {
+    const radians = geo.maxDistance / 1000 / EARTH_RADIUS_KM;
+    areas.push({ geoLocation: { $geoWithin: { $centerSphere: [geo.point.coordinates, radians] } } });
+  }
+  if (areas.length === 1) {
+    Object.assign(query, areas[0]);
+  } else if (areas.length > 1) {
+    query.$and = areas;
+  }
+
+  return query;
+};
+
+// Similar listings and recommendations. Candidates are narrowed down in
+// MongoDB, then ranked here by scoreSimilarProperty.
+const LISTED_PROPERTY_FILTER = {
+  status: 'verified',
+  agentFraud: { $ne: true },
+  saleStatus: { $nin: ['sold', 'withdrawn'] },
+  ...NOT_DELETED
+};
+const SIMILAR_RADIUS_KM = 50;
+const MAX_SIMILAR_CANDIDATES = 300;
+
+// Great-circle distance between two GeoJSON points
+const distanceKm = (from, to) => {
+  const [lng1, lat1] = from.coordinates.map(value => value * Math.PI / 180);
+  const [lng2, lat2] = to.coordinates.map(value => value * Math.PI / 180);
+  const h = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const priceMidpoint = (property) => (
+  Number.isFinite(property.priceMin) && Number.isFinite(property.priceMax)
+    ? (property.priceMin + property.priceMax) / 2
+    : null
+);
+
+// Without coordinates, locations match fully when equal and half when they
+// share the last part ("Gulshan, Dhaka" and "Banani, Dhaka")
+const locationSimilarity = (a = '', b = '') => {
+  const parts = (location) => location.toLowerCase().split(',').map(part => part.trim()).filter(Boolean);
+  const [partsA, partsB] = [parts(a), parts(b)];
+  if (partsA.length === 0 || partsB.length === 0) return 0;
+  if (partsA.join(',') === partsB.join(',')) return 1;
+  return partsA[partsA.length - 1] === partsB[partsB.length - 1] ? 0.5 : 0;
+};
+
+// Weighted average (0-1) over the signals the target listing has:
+// location 3, price 3, property type 2, bedrooms 1, area 1
+const scoreSimilarProperty = (target, candidate) => {
+  let score = 0;
+  let weight = 0;
+  const add = (signalWeight, value) => {
+    score += signalWeight * value;
+    weight += signalWeight;
+  };
+
+  if (target.geoLocation && candidate.geoLocation) {
+    add(3, Math.max(0, 1 - distanceKm(target.geoLocation, candidate.geoLocation) / SIMILAR_RADIUS_KM));
+  } else {
+    add(3, locationSimilarity(target.location, candidate.location));
+  }
+
+  const targetPrice = priceMidpoint(target);
+  if (targetPrice) {
+    const candidatePrice = priceMidpoint(candidate);
+    add(3, candidatePrice === null ? 0 : Math.max(0, 1 - Math.abs(candidatePrice - targetPrice) / targetPrice));
+  }
+  if (target.propertyType) {
+    add(2, candidate.propertyType === target.propertyType ? 1 : 0);
+  }
+  if (Number.isFinite(target.bedrooms)) {
+    add(1, Number.isFinite(candidate.bedrooms) ? Math.max(0, 1 - Math.abs(candidate.bedrooms - target.bedrooms) / 3) : 0);
+  }
+  if (target.areaSqft) {
+    add(1, candidate.areaSqft ? Math.min(candidate.areaSqft, target.areaSqft) / Math.max(candidate.areaSqft, target.areaSqft) : 0);
+  }
+
+  return weight > 0 ? Math.round((score / weight) * 100) / 100 : 0;
+};
+
+// Cheap pre-filter for listings that could score well against any of the
+// given ones: same type, overlapping price band (+/-50%) or nearby
+const buildSimilarCandidateQuery = (properties) => {
+  const conditions = [];
+  properties.forEach(property => {
+    const price = priceMidpoint(property);
+    if (price) {
+      conditions.push({ priceMin: { $lte: price * 1.5 }, priceMax: { $gte: price * 0.5 } });
+    }
+    if (property.propertyType) {
+      conditions.push({ propertyType: property.propertyType });
+    }
+    if (property.geoLocation) {
+      conditions.push({
+        geoLocation: { $geoWithin: { $centerSphere: [property.geoLocation.coordinates, SIMILAR_RADIUS_KM / EARTH_RADIUS_KM] } }
+      });
+    }
+  });
+  return conditions.length > 0 ? { $or: conditions } : {};
+};
+
+// Listing analytics. Views, wishlist adds, offers and sales are stored as
+// propertyEvents; a viewer's repeat views within a VIEW_DEDUP_WINDOW_MS window
+// count once, and one IP records at most MAX_VIEWS_PER_IP views per window.
+const VIEW_DEDUP_WINDOW_MS = 30 * 60 * 1000;
+const MAX_VIEWS_PER_IP = 100;
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+// Who is viewing a listing: the signed-in user set by optionalUser (so revoked
+// or fraud tokens count as anonymous), otherwise the client's X-Session-Id or,
+// failing that, a hash of IP and user agent
+const getViewerKey = (req) => {
+  if (req.user) return { key: `user:${req.user.email}`, email: req.user.email };
+
+  const sessionId = req.get('X-Session-Id');
+  if (sessionId) return { key: `session:${hashToken(sessionId)}`, email: null };
+  return { key: `client:${hashToken(`${req.ip}|${req.get('User-Agent') || ''}`)}`, email: null };
+};
+
+// Reads from/to query parameters (ISO dates), defaulting to the last 30 days
+const parseDateRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(start) || isNaN(end) || start > end) {
+    return { error: 'from and to must be dates with from before to' };
+  }
+  return { range: { from: start, to: end } };
+};
+
+// Image storage. Both drivers expose save(buffer, { folder, mimetype }) ->
+// { url, storageId } and remove(storageId). Cloudinary is used when it is
+// configured (production); otherwise files go to local disk.
+const IMAGE_MIME_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+
+// Checks the file's magic bytes rather than trusting the declared type
+const hasImageSignature = (buffer, mimetype) => {
+  if (mimetype === 'image/jpeg') return buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  if (mimetype === 'image/png') return buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  if (mimetype === 'image/webp') return buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP';
+  return false;
+};
+
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  return {
+    driver: 'cloudinary',
+    save: (buffer, { folder }) => new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder: `realestate/${folder}`, resource_type: 'image' },
+        (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, storageId: result.public_id }))
+      );
+      stream.end(buffer);
+    }),
+    remove: (storageId) => cloudinary.uploader.destroy(storageId)
+  };
+};
+
+const createLocalStorage = (rootDir, publicPath = '/uploads') => {
+  return {
+    driver: 'local',
+    rootDir,
+    publicPath,
+    save: async (buffer, { folder, mimetype }) => {
+      const filename = `${crypto.randomBytes(16).toString('hex')}.${IMAGE_MIME_TYPES[mimetype]}`;
+      const storageId = `${folder}/${filename}`;
+      await fs.promises.mkdir(path.join(rootDir, folder), { recursive: true });
+      await fs.promises.writeFile(path.join(rootDir, storageId), buffer);
+      return { url: `${process.env.PUBLIC_BASE_URL || ''}${publicPath}/${storageId}`, storageId };
+    },
+    remove: async (storageId) => {
+      // storageIds are generated above; refuse anything that escapes the root
+      const filePath = path.resolve(rootDir, storageId);
+      if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) return;
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+};
+
+const imageStorage = (process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')) === 'cloudinary'
+  ? createCloudinaryStorage()
+  : createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_MIME_TYPES[file.mimetype]) {
+      return callback(new multer.MulterError('INVALID_IMAGE_TYPE', file.fieldname));
+    }
+    callback(null, true);
+  }
+});
+
+// Runs a multer middleware and turns its errors into 400 responses
+const handleImageUpload = (middleware) => {
+  return (req, res, next) => {
+    middleware(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Images must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`,
+          LIMIT_FILE_COUNT: 'Too many files',
+          LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}"`,
+          INVALID_IMAGE_TYPE: `Only ${Object.keys(IMAGE_MIME_TYPES).join(', ')} images are accepted`
+        };
+        return res.status(400).json({ error: messages[error.code] || error.message });
+      }
+      if (error) return next(error);
+
+      const files = req.files || (req.file ? [req.file] : []);
+      if (files.some(file => !hasImageSignature(file.buffer, file.mimetype))) {
+        return res.status(400).json({ error: 'File content does not match its image type' });
+      }
+      next();
+    });
+  };
+};
+
+if (imageStorage.driver === 'local') {
+  app.use(imageStorage.publicPath, express.static(imageStorage.rootDir));
+}
+
+// CSV import/export of listings. PROPERTY_CSV_COLUMNS is the import format
+// and the start of every export; amenities are separated by "|".
+const PROPERTY_CSV_COLUMNS = [
+  'title', 'location', 'description', 'image', 'priceMin', 'priceMax', 'priceRange',
+  'propertyType', 'bedrooms', 'bathrooms', 'parking', 'yearBuilt', 'areaValue', 'areaUnit',
+  'amenities', 'latitude', 'longitude'
+];
+const PROPERTY_EXPORT_COLUMNS = [
+  'id', ...PROPERTY_CSV_COLUMNS, 'agentName', 'agentEmail', 'status', 'saleStatus', 'createdAt', 'deletedAt'
+];
+const MAX_IMPORT_ROWS = 500;
+const MAX_IMPORT_FILE_SIZE = 2 * 1024 * 1024;
+
+// RFC 4180 parsing: quoted fields may contain commas, newlines and "" escapes.
+// Returns an array of rows (arrays of strings) or throws on an unclosed quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unclosed quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheet apps from evaluating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records, columns) => [
+  columns.join(','),
+  ...records.map(record => columns.map(column => toCsvValue(record[column])).join(','))
+].join('\r\n');
+
+// One CSV record to the body shape normalizeNewPropertyInput expects.
+// Empty cells mean "not provided".
+const csvRecordToPropertyInput = (record) => {
+  const body = {};
+  PROPERTY_CSV_COLUMNS.forEach(column => {
+    const value = (record[column] || '').trim();
+    if (value !== '') body[column] = value;
+  });
+
+  const { areaValue, areaUnit, amenities, ...rest } = body;
+  if (areaValue !== undefined) {
+    rest.area = { value: areaValue, unit: areaUnit || 'sqft' };
+  }
+  if (amenities !== undefined) {
+    rest.amenities = amenities.split('|').map(amenity => amenity.trim()).filter(Boolean);
+  }
+  return rest;
+};
+
+const propertyToCsvRecord = (property) => ({
+  ...property,
+  id: property._id.toString(),
+  areaValue: property.area ? property.area.value : null,
+  areaUnit: property.area ? property.area.unit : null,
+  amenities: (property.amenities || []).join('|'),
+  latitude: property.geoLocation ? property.geoLocation.coordinates[1] : null,
+  longitude: property.geoLocation ? property.geoLocation.coordinates[0] : null,
+  saleStatus: saleStatusOf(property)
+});
+
+// Sends listings as JSON, or as a CSV attachment when format=csv
+const sendPropertyExport = (res, properties, format, filename) => {
+  if (format !== 'csv') {
+    return res.json(properties);
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send(toCsv(properties.map(propertyToCsvRecord), PROPERTY_EXPORT_COLUMNS));
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      /\.csv$/i.test(file.originalname);
+    if (!isCsv) {
+      return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    callback(null, true);
+  }
+});
+
+// Like handleImageUpload, for the single CSV file of an import
+const handleCsvUpload = (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `CSV files must be at most ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`,
+        LIMIT_UNEXPECTED_FILE: 'Upload a single .csv file in the "file" field'
+      };
+      return res.status(400).json({ error: messages[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+// Every property status decision is appended to its moderationHistory
+const moderationEntry = (action, user, fromStatus, toStatus, extra = {}) => ({
+  action,
+  by: user.email,
+  at: new Date(),
+  fromStatus: fromStatus || null,
+  toStatus,
+  ...extra
+});
+
+// Reads page/limit query parameters, clamping limit to maxLimit
+const parsePagination = (query, defaultLimit = 12, maxLimit = 100) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Outgoing mail. Without SMTP settings messages are logged instead of sent,
+// which is enough for local development; in production sending fails.
+const mailTransport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+  : null;
+
+const sendMail = async ({ to, subject, text }) => {
+  if (!mailTransport) {
+    // Messages can hold live reset links, so they are never logged in production
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Mail transport is not configured (set SMTP_HOST)');
+    }
+    console.log(`Mail transport not configured. Message to ${to}: ${subject}\n${text}`);
+    return;
+  }
+  await mailTransport.sendMail({ from: process.env.MAIL_FROM || process.env.SMTP_USER, to, subject, text });
+};
+
+// Refresh-token sessions. Each login creates one session document; every
+// refresh rotates its token and remembers the old hash so that replaying a
+// used token revokes the whole session.
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_REMEMBERED_REFRESH_TOKENS = 50;
+
+const createSessionStore = (sessionsCollection, usersCollection) => {
+  const newRefreshToken = () => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    return { refreshToken, refreshTokenHash: hashToken(refreshToken) };
+  };
+
+  const issueSession = async (email, req) => {
+    const { refreshToken, refreshTokenHash } = newRefreshToken();
+    const now = new Date();
+    const result = await sessionsCollection.insertOne({
+      email,
+      refreshTokenHash,
+      previousTokenHashes: [],
+      userAgent: req.headers['user-agent'] || null,
+      ip: req.ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return {
+      token: signAccessToken(email, result.insertedId.toString()),
+      refreshToken
+    };
+  };
+
+  // Returns { token, refreshToken } or { error, code } when the token can't be used
+  const rotateSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const { refreshToken: nextToken, refreshTokenHash: nextHash } = newRefreshToken();
+    const now = new Date();
+
+    const session = await sessionsCollection.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      {
+        $set: { refreshTokenHash: nextHash, lastUsedAt: now },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_REMEMBERED_REFRESH_TOKENS } }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (session) {
+      return { token: signAccessToken(session.email, session._id.toString()), refreshToken: nextToken };
+    }
+
+    const reused = await sessionsCollection.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      await revokeSession(reused._id, 'refresh-token-reuse');
+      console.warn('Refresh token reuse detected for session:', reused._id.toString());
+      return { error: 'Refresh token has already been used', code: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    return { error: 'Refresh token is invalid or has expired', code: 'REFRESH_TOKEN_INVALID' };
+  };
+
+  const revokeSession = (sessionId, reason) => {
+    return sessionsCollection.updateOne(
+      { _id: new ObjectId(sessionId), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  };
+
+  // Revokes every session of a user. Unless a session is kept, access tokens
+  // issued before now (including Firebase ID tokens) stop working as well.
+  const revokeUserSessions = async (email, reason, { exceptSessionId } = {}) => {
+    const filter = { email, revokedAt: { $exists: false } };
+    if (exceptSessionId) {
+      filter._id = { $ne: new ObjectId(exceptSessionId) };
+    } else {
+      await usersCollection.updateOne({ email }, { $set: { tokensRevokedAt: new Date() } });
+    }
+    return sessionsCollection.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  };
+
+  const isSessionActive = async (sessionId) => {
+    if (!isValidObjectId(sessionId)) return false;
+    const session = await sessionsCollection.findOne(
+      { _id: new ObjectId(sessionId) },
+      { projection: { revokedAt: 1 } }
+    );
+    return Boolean(session && !session.revokedAt);
+  };
+
+  return { issueSession, rotateSession, revokeSession, revokeUserSessions, isSessionActive };
+};
+
+async function run() {
+  try {
+    await client.connect();
+    
+    const database = client.db('realEstateDB');
+    const usersCollection = database.collection('users');
+    const propertiesCollection = database.collection('properties');
+    const wishlistCollection = database.collection('wishlist');
+    const offersCollection = database.collection('offers');
+    const reviewsCollection = database.collection('reviews');
+    const reportsCollection = database.collection('reports');
+    const sessionsCollection = database.collection('sessions');
+    const agentApplicationsCollection = database.collection('agentApplications');
+    const searchLogsCollection = database.collection('searchLogs');
+    const propertyRevisionsCollection = database.collection('propertyRevisions');
+    const adCampaignsCollection = database.collection('adCampaigns');
+    const savedSearchesCollection = database.collection('savedSearches');
+    const searchAlertsCollection = database.collection('searchAlerts');
+    const propertyEventsCollection = database.collection('propertyEvents');
+    const campaignClicksCollection = database.collection('campaignClicks');
+    const viewRateLimitsCollection = database.collection('viewRateLimits');
+    const jobLocksCollection = database.collection('jobLocks');
+
+    // Indexes only needed by optional query modes are built in the background:
+    // a failure (e.g. a malformed geoLocation document breaking the 2dsphere
+    // build, or an older text index under another name) is logged and can't
+    // stop the routes below from being registered.
+    // Unique and TTL indexes stay awaited, as duplicate checks and expiry rely on them.
+    const createOptionalIndex = (collection, keys, options) => collection.createIndex(keys, options)
+      .catch(error => console.error(`Failed to create index ${JSON.stringify(keys)} on ${collection.collectionName}:`, error));
+
+    await sessionsCollection.createIndex({ refreshTokenHash: 1 }, { unique: true });
+    await sessionsCollection.createIndex({ previousTokenHashes: 1 });
+    await sessionsCollection.createIndex({ email: 1 });
+    await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await propertiesCollection.createIndex({ status: 1, priceMin: 1 });
+    await propertiesCollection.createIndex({ status: 1, priceMax: 1 });
+    await propertiesCollection.createIndex({ status: 1, createdAt: -1, _id: -1 });
+    createOptionalIndex(
+      propertiesCollection,
+      { title: 'text', location: 'text', description: 'text' },
+      { name: 'property_text_search', weights: { title: 10, location: 5, description: 1 } }
+    );
+    await searchLogsCollection.createIndex({ createdAt: -1 });
+    createOptionalIndex(propertiesCollection, { geoLocation: '2dsphere' });
+    await propertiesCollection.createIndex({ status: 1, propertyType: 1, bedrooms: 1 });
+    await propertyRevisionsCollection.createIndex({ propertyId: 1, editedAt: -1 });
+    await propertiesCollection.createIndex({ status: 1, submittedAt: 1 });
+    await propertiesCollection.createIndex({ status: 1, saleStatus: 1 });
+    await propertiesCollection.createIndex({ deletedAt: 1 }, { sparse: true });
+    await propertiesCollection.createIndex({ status: 1, verifiedAt: 1 });
+    await savedSearchesCollection.createIndex({ userEmail: 1 });
+    await searchAlertsCollection.createIndex({ savedSearchId: 1, propertyId: 1 }, { unique: true });
+    await searchAlertsCollection.createIndex({ userEmail: 1, seenAt: 1 });
+    await propertyEventsCollection.createIndex({ propertyId: 1, type: 1, occurredAt: 1 });
+    await propertyEventsCollection.createIndex({ actor: 1, type: 1, occurredAt: -1 });
+    await propertyEventsCollection.createIndex({ dedupKey: 1 }, { unique: true, sparse: true });
+    await viewRateLimitsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await propertiesCollection.createIndex({ agentEmail: 1 });
+    await offersCollection.createIndex({ buyerEmail: 1 });
+    await reviewsCollection.createIndex({ reviewerEmail: 1 });
+    await reviewsCollection.createIndex({ userEmail: 1 });
+    await adCampaignsCollection.createIndex({ startsAt: 1, endsAt: 1 });
+    await adCampaignsCollection.createIndex({ propertyId: 1 });
+    await campaignClicksCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Lower-cases the emails of accounts created before emails were normalized,
+    // along with every record that refers to them. Runs at startup rather than
+    // as an admin endpoint, since a mixed-case admin couldn't sign in to call
+    // it. An account whose normalized email is already taken is left as it is
+    // and logged, to be merged by hand.
+    const normalizeStoredEmails = async () => {
+      const emailReferences = [
+        [propertiesCollection, 'agentEmail'], [propertiesCollection, 'soldTo'], [propertiesCollection, 'verifiedBy'],
+        [offersCollection, 'buyerEmail'], [offersCollection, 'agentEmail'],
+        [reviewsCollection, 'reviewerEmail'], [reviewsCollection, 'userEmail'],
+        [reportsCollection, 'reporterEmail'], [wishlistCollection, 'userEmail'],
+        [agentApplicationsCollection, 'email'], [sessionsCollection, 'email'],
+        [savedSearchesCollection, 'userEmail'], [searchAlertsCollection, 'userEmail'],
+        [propertyRevisionsCollection, 'editedBy'],
+        [adCampaignsCollection, 'agentEmail'], [adCampaignsCollection, 'createdBy'], [adCampaignsCollection, 'cancelledBy']
+      ];
+
+      const users = await usersCollection
+        .find({ email: { $regex: '[A-Z]|^\\s|\\s$' } }, { projection: { email: 1 } })
+        .toArray();
+
+      const migrated = [];
+      const conflicts = [];
+      for (const user of users) {
+        const email = normalizeEmail(user.email);
+        if (await usersCollection.findOne({ email, _id: { $ne: user._id } }, { projection: { _id: 1 } })) {
+          conflicts.push(user.email);
+          continue;
+        }
+
+        await usersCollection.updateOne({ _id: user._id }, { $set: { email } });
+        await Promise.all(emailReferences.map(([collection, field]) =>
+          collection.updateMany({ [field]: user.email }, { $set: { [field]: email } })
+        ));
+        await propertiesCollection.updateMany(
+          { 'moderationHistory.by': user.email },
+          { $set: { 'moderationHistory.$[entry].by': email } },
+          { arrayFilters: [{ 'entry.by': user.email }] }
+        );
+        await propertyEventsCollection.updateMany({ actor: `user:${user.email}` }, { $set: { actor: `user:${email}` } });
+        migrated.push(email);
+      }
+      return { migrated, conflicts };
+    };
+
+    normalizeStoredEmails()
+      .then(({ migrated, conflicts }) => {
+        if (migrated.length > 0) console.log('Normalized user emails:', migrated.length);
+        if (conflicts.length > 0) console.error('User emails that clash with another account once lower-cased:', conflicts);
+      })
+      .catch(error => console.error('Error normalizing user emails:', error));
+
+    const sessionStore = createSessionStore(sessionsCollection, usersCollection);
+
+    // Create the verifyUser middleware with access to usersCollection
+    const verifyUser = createVerifyUser(usersCollection, sessionStore);
+    const optionalUser = createOptionalUser(usersCollection, sessionStore);
+
+    // Lets the scheduler in with CRON_SECRET; anyone else must be an admin.
+    // Vercel Cron only sends GET requests, so GET is open to the scheduler
+    // alone and admins run jobs by hand with POST.
+    const verifyJobCaller = (req, res, next) => {
+      const token = getBearerToken(req);
+      if (process.env.CRON_SECRET && token &&
+        crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(hashToken(process.env.CRON_SECRET), 'hex'))) {
+        return next();
+      }
+      if (req.method === 'GET') {
+        return res.status(401).send({ error: true, message: 'Unauthorized access' });
+      }
+      verifyUser(req, res, () => requireAdmin(req, res, next));
+    };
+
+    const registerJobRoute = (path, handler) => {
+      app.get(path, verifyJobCaller, handler);
+      app.post(path, verifyJobCaller, handler);
+    };
+
+    // Runs job while holding the named lease (see JOB_LOCK_LEASE_MS).
+    // Returns { acquired: false } when another run holds it.
+    const runExclusiveJob = async (name, job) => {
+      const now = new Date();
+      const owner = crypto.randomBytes(8).toString('hex');
+      try {
+        // Only an expired lease matches; a held one makes the upsert hit the unique _id
+        await jobLocksCollection.updateOne(
+          { _id: name, lockedUntil: { $lte: now } },
+          { $set: { owner, lockedAt: now, lockedUntil: new Date(now.getTime() + JOB_LOCK_LEASE_MS) } },
+          { upsert: true }
+        );
+      } catch (error) {
+        if (error.code === 11000) return { acquired: false };
+        throw error;
+      }
+
+      try {
+        return { acquired: true, result: await job() };
+      } finally {
+        await jobLocksCollection.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date(), finishedAt: new Date() } });
+      }
+    };
+
+    const sendJobRunning = (res) => res.status(409).json({ error: 'This job is already running' });
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+      console.log('Health check called');
+      res.json({ status: 'OK', message: 'Server is running', timestamp: new Date().toISOString() });
+    });
+
+    // Test route to check users
+    app.get('/test-users', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        console.log('Test users endpoint called');
+        const users = await usersCollection.find({}).limit(5).toArray();
+        console.log('Users in database:', users.length);
+        res.json({ count: users.length, users: users.map(u => ({ email: u.email, role: u.role })) });
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+      }
+    });
+
+    // Welcome Route & API Documentation
+    app.get('/', (req, res) => {
+      const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Real Estate Platform API Documentation</title>
+          <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
+            .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; margin-bottom: 30px; text-align: center; }
+            .header h1 { font-size: 2.5rem; margin-bottom: 10px; }
+            .header p { font-size: 1.2rem; opacity: 0.9; }
+            .live-link { background: #28a745; color: white; padding: 15px 30px; border: none; border-radius: 5px; font-size: 1.1rem; text-decoration: none; display: inline-block; margin: 20px 10px; transition: background 0.3s; }
+            .live-link:hover { background: #218838; }
+            .status { display: flex; justify-content: space-around; margin-bottom: 30px; }
+            .status-card { background: white; padding: 20px; border-radius: 10px; text-align: center; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+            .status-card h3 { color: #28a745; margin-bottom: 10px; }
+            .api-section { background: white; margin-bottom: 30px; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+            .api-header { background: #6c757d; color: white; padding: 20px; font-size: 1.3rem; font-weight: bold; }
+            .api-content { padding: 20px; }
+            .endpoint { margin-bottom: 20px; padding: 15px; border-left: 4px solid #007bff; background: #f8f9fa; }
+            .method { font-weight: bold; color: white; padding: 5px 10px; border-radius: 3px; margin-right: 10px; }
+            .get { background: #28a745; }
+            .post { background: #007bff; }
+            .put { background: #ffc107; color: #333; }
+            .patch { background: #17a2b8; }
+            .delete { background: #dc3545; }
+            .endpoint-url { font-family: 'Courier New', monospace; font-weight: bold; margin: 5px 0; }
+            .endpoint-desc { color: #666; margin: 5px 0; }
+            .params { background: #e9ecef; padding: 10px; border-radius: 5px; margin: 10px 0; }
+            .footer { text-align: center; padding: 30px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🏠 Real Estate Platform API</h1>
+              <p>Comprehensive RESTful API for Property Management System</p>
+              <p><strong>Version:</strong> 1.0.0 | <strong>Status:</strong> ✅ Running</p>
+              <div>
+                <a href="https://b11a12elite.netlify.app" class="live-link" target="_blank">🌐 Live Frontend</a>
+                <a href="/api" class="live-link" target="_blank">📋 JSON API Docs</a>
+              </div>
+            </div>
+
+            <div class="status">
+              <div class="status-card">
+                <h3>✅ Server Status</h3>
+                <p>Running on Port ${port}</p>
+              </div>
+              <div class="status-card">
+                <h3>✅ Database</h3>
+                <p>MongoDB Connected</p>
+              </div>
+              <div class="status-card">
+                <h3>✅ CORS</h3>
+                <p>Frontend Enabled</p>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">🔐 Authentication Endpoints</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/jwt</div>
+                  <div class="endpoint-desc">Exchange a Firebase ID token for an API access token</div>
+                  <div class="params"><strong>Header:</strong> Authorization: Bearer &lt;Firebase ID token&gt;</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">👥 User Management</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/users</div>
+                  <div class="endpoint-desc">Get all users (Admin only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/users</div>
+                  <div class="endpoint-desc">Create or update user profile</div>
+                  <div class="params"><strong>Body:</strong> { uid, email, name, photoURL, role }</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/users/:email</div>
+                  <div class="endpoint-desc">Get user details by email</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/users/admin/:id</div>
+                  <div class="endpoint-desc">Make user admin (Admin only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/users/agent/:id</div>
+                  <div class="endpoint-desc">Make user agent (Admin only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/users/fraud/:id</div>
+                  <div class="endpoint-desc">Mark user as fraud (Admin only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method delete">DELETE</span>
+                  <div class="endpoint-url">/users/:id</div>
+                  <div class="endpoint-desc">Delete user (Admin only)</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">🏠 Property Management</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/properties</div>
+                  <div class="endpoint-desc">Get all verified properties with filters</div>
+                  <div class="params"><strong>Query:</strong> search, sort, minPrice, maxPrice, page, limit</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/properties/:id</div>
+                  <div class="endpoint-desc">Get property details by ID</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/properties/agent/:email</div>
+                  <div class="endpoint-desc">Get properties by agent email</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/advertised-properties</div>
+                  <div class="endpoint-desc">Get featured/advertised properties (limit 4)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/properties</div>
+                  <div class="endpoint-desc">Add new property (Agent only)</div>
+                  <div class="params"><strong>Body:</strong> { title, location, image, priceRange, description, agentEmail }</div>
+                </div>
+                <div class="endpoint">
                   <span class="method put">PUT</span>
                   <div class="endpoint-url">/properties/:id</div>
                   <div class="endpoint-desc">Update property (Agent/Admin only)</div>
@@ -344,901 +1672,3756 @@ async function run() {
               </div>
             </div>
 
-            <div class="api-section">
-              <div class="api-header">❤️ Wishlist Management</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/wishlist/:email</div>
-                  <div class="endpoint-desc">Get user's wishlist properties</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/wishlist</div>
-                  <div class="endpoint-desc">Add property to wishlist</div>
-                  <div class="params"><strong>Body:</strong> { userEmail, propertyId }</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method delete">DELETE</span>
-                  <div class="endpoint-url">/wishlist/:id</div>
-                  <div class="endpoint-desc">Remove property from wishlist</div>
-                </div>
-              </div>
-            </div>
+            <div class="api-section">
+              <div class="api-header">❤️ Wishlist Management</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/wishlist/:email</div>
+                  <div class="endpoint-desc">Get user's wishlist properties; deleted listings come back with deleted: true, and purged ones only as { _id, deleted: true }</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/wishlist</div>
+                  <div class="endpoint-desc">Add property to wishlist</div>
+                  <div class="params"><strong>Body:</strong> { userEmail, propertyId }</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method delete">DELETE</span>
+                  <div class="endpoint-url">/wishlist/:id</div>
+                  <div class="endpoint-desc">Remove property from wishlist</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">💰 Offer Management</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/offers</div>
+                  <div class="endpoint-desc">Get all offers (Admin only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/offers/user/:email</div>
+                  <div class="endpoint-desc">Get offers by user email</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/offers/agent/:email</div>
+                  <div class="endpoint-desc">Get offers for agent's properties</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/offers</div>
+                  <div class="endpoint-desc">Make offer on property</div>
+                  <div class="params"><strong>Body:</strong> { propertyId, buyerEmail, agentEmail, offeredAmount }</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/offers/accept/:id</div>
+                  <div class="endpoint-desc">Accept offer (Agent only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/offers/reject/:id</div>
+                  <div class="endpoint-desc">Reject offer (Agent only)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method patch">PATCH</span>
+                  <div class="endpoint-url">/offers/bought/:id</div>
+                  <div class="endpoint-desc">Mark offer as bought</div>
+                  <div class="params"><strong>Body:</strong> { transactionId }</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">⭐ Review Management</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/reviews</div>
+                  <div class="endpoint-desc">Get latest reviews (limit 3)</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/reviews/property/:id</div>
+                  <div class="endpoint-desc">Get reviews for specific property</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method get">GET</span>
+                  <div class="endpoint-url">/reviews/user/:email</div>
+                  <div class="endpoint-desc">Get reviews by user</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/reviews</div>
+                  <div class="endpoint-desc">Add new review</div>
+                  <div class="params"><strong>Body:</strong> { propertyId, reviewerEmail, rating, comment }</div>
+                </div>
+                <div class="endpoint">
+                  <span class="method delete">DELETE</span>
+                  <div class="endpoint-url">/reviews/:id</div>
+                  <div class="endpoint-desc">Delete review</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="api-section">
+              <div class="api-header">💳 Payment Integration</div>
+              <div class="api-content">
+                <div class="endpoint">
+                  <span class="method post">POST</span>
+                  <div class="endpoint-url">/create-payment-intent</div>
+                  <div class="endpoint-desc">Create payment intent for property purchase</div>
+                  <div class="params"><strong>Body:</strong> { amount } - Amount in cents</div>
+                </div>
+              </div>
+            </div>
+
+            <div class="footer">
+              <p>🏠 <strong>Real Estate Platform API</strong> - Built with Express.js, MongoDB & Firebase Auth</p>
+              <p>📧 Contact: <strong>shakil880@gmail.com</strong> | 🌐 Frontend: <a href="https://b11a12elite.netlify.app" target="_blank">b11a12elite.netlify.app</a></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+      res.send(html);
+    });
+
+    // Fix property status fields (one-time migration endpoint)
+    app.get('/fix-properties', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        // Update properties that have verificationStatus but no status field
+        const result = await propertiesCollection.updateMany(
+          { verificationStatus: { $exists: true }, status: { $exists: false } },
+          [
+            {
+              $set: {
+                status: "$verificationStatus"
+              }
+            },
+            {
+              $unset: "verificationStatus"
+            }
+          ]
+        );
+        
+        res.json({ 
+          message: 'Property status fields fixed', 
+          modifiedCount: result.modifiedCount 
+        });
+      } catch (error) {
+        console.error('Error fixing properties:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Fill numeric priceMin/priceMax from priceRange strings (one-time migration endpoint)
+    app.get('/fix-property-prices', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const properties = await propertiesCollection
+          .find({ priceMin: { $exists: false } }, { projection: { title: 1, priceRange: 1 } })
+          .toArray();
+
+        const updates = [];
+        const unparsed = [];
+        for (const property of properties) {
+          const parsed = parsePriceRange(property.priceRange);
+          if (parsed) {
+            updates.push({ updateOne: { filter: { _id: property._id }, update: { $set: parsed } } });
+          } else {
+            unparsed.push({ _id: property._id, title: property.title, priceRange: property.priceRange });
+          }
+        }
+
+        const result = updates.length > 0 ? await propertiesCollection.bulkWrite(updates) : { modifiedCount: 0 };
+        res.json({
+          message: 'Property prices migrated',
+          modifiedCount: result.modifiedCount,
+          unparsedCount: unparsed.length,
+          unparsed
+        });
+      } catch (error) {
+        console.error('Error migrating property prices:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Give listings flagged `advertised` before campaigns existed a campaign
+    // from now for DEFAULT_CAMPAIGN_DAYS (one-time migration endpoint). Listings
+    // that are no longer eligible, or don't fit under MAX_ACTIVE_CAMPAIGNS,
+    // lose the flag and are listed so they can be scheduled by hand.
+    app.get('/fix-advertised-campaigns', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const now = new Date();
+        const endsAt = new Date(now.getTime() + DEFAULT_CAMPAIGN_DAYS * 24 * 60 * 60 * 1000);
+        const [properties, campaigns] = await Promise.all([
+          propertiesCollection.find({ advertised: true }).toArray(),
+          adCampaignsCollection.find({ cancelledAt: { $exists: false }, startsAt: { $lt: endsAt }, endsAt: { $gt: now } }).toArray()
+        ]);
+
+        const created = [];
+        const unadvertised = [];
+        for (const property of properties) {
+          if (campaigns.some(campaign => campaign.propertyId.equals(property._id))) continue;
+
+          const eligible = property.status === 'verified' && !property.agentFraud && !property.deletedAt &&
+            ['available', 'under-offer'].includes(saleStatusOf(property));
+          if (!eligible || maxConcurrentCampaigns(campaigns, now, endsAt) >= MAX_ACTIVE_CAMPAIGNS) {
+            unadvertised.push({ _id: property._id, title: property.title, reason: eligible ? 'campaign limit reached' : 'not eligible' });
+            continue;
+          }
+
+          const campaign = {
+            propertyId: property._id,
+            propertyTitle: property.title,
+            agentEmail: property.agentEmail,
+            startsAt: now,
+            endsAt,
+            createdBy: req.user.email,
+            createdAt: now,
+            impressions: 0,
+            clicks: 0,
+            lastShownAt: null
+          };
+          campaigns.push(campaign);
+          created.push(campaign);
+        }
+
+        if (created.length > 0) await adCampaignsCollection.insertMany(created);
+        if (unadvertised.length > 0) {
+          await propertiesCollection.updateMany(
+            { _id: { $in: unadvertised.map(property => property._id) } },
+            { $set: { advertised: false, updatedAt: now } }
+          );
+        }
+
+        res.json({
+          message: 'Advertised properties migrated',
+          campaignsCreated: created.length,
+          unadvertisedCount: unadvertised.length,
+          unadvertised
+        });
+      } catch (error) {
+        console.error('Error migrating advertised properties:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // API Documentation Route (JSON format)
+    app.get('/api', (req, res) => {
+      const apiDocumentation = {
+        message: "🏠 Real Estate Platform API",
+        version: "1.0.0",
+        status: "Running Successfully",
+        database: "Connected to MongoDB",
+        baseUrl: "http://localhost:5000",
+        frontendUrl: "https://b11a12elite.netlify.app",
+        endpoints: {
+          "Authentication": {
+            "POST /jwt": {
+              description: "Exchange a Firebase ID token for an API access token",
+              headers: "Authorization: Bearer <Firebase ID token>",
+              response: "{ token: String, refreshToken: String }"
+            },
+            "POST /auth/register": {
+              description: "Create a local email/password account and email a verification link; no session until the address is verified",
+              body: "{ email, password, name, photoURL }",
+              response: "{ success: Boolean, message: String, user: Object }"
+            },
+            "POST /auth/verify-email": {
+              description: "Verify a local account's email address with the mailed token and sign in",
+              body: "{ token }",
+              response: "{ success: Boolean, token: String, refreshToken: String, user: Object }"
+            },
+            "POST /auth/resend-verification": {
+              description: "Email a new verification link for an unverified local account",
+              body: "{ email }",
+              response: "{ success: Boolean }"
+            },
+            "POST /auth/login": {
+              description: "Log in with a local email/password account (403 EMAIL_NOT_VERIFIED until the email is verified)",
+              body: "{ email, password }",
+              response: "{ success: Boolean, token: String, refreshToken: String, user: Object }"
+            },
+            "POST /auth/change-password": {
+              description: "Change the current user's password",
+              auth: "Required",
+              body: "{ currentPassword, newPassword }",
+              response: "{ success: Boolean }"
+            },
+            "POST /auth/forgot-password": {
+              description: "Email a password reset link",
+              body: "{ email }",
+              response: "{ success: Boolean }"
+            },
+            "POST /auth/reset-password": {
+              description: "Set a new password using a reset token",
+              body: "{ token, newPassword }",
+              response: "{ success: Boolean }"
+            },
+            "POST /auth/refresh": {
+              description: "Rotate a refresh token and get a new access token",
+              body: "{ refreshToken }",
+              response: "{ token: String, refreshToken: String }"
+            },
+            "POST /auth/logout": {
+              description: "Revoke the current session",
+              auth: "Required",
+              response: "{ success: Boolean }"
+            },
+            "POST /auth/logout-all": {
+              description: "Revoke every session of the current user",
+              auth: "Required",
+              response: "{ success: Boolean, revokedCount: Number }"
+            }
+          },
+          "User Management": {
+            "GET /users": {
+              description: "User directory with activity counts (Admin only)",
+              auth: "Required - Admin",
+              query: "search, role (user/agent/admin/fraud), sort (newest/oldest), page, limit",
+              response: "Array of users (at most 500); { users: Array, total, page, limit, totalPages } when page or limit is given"
+            },
+            "POST /users": {
+              description: "Create the profile for a Firebase sign-up; email and uid come from the ID token",
+              auth: "Required - Firebase ID token (verified email)",
+              body: "{ name, photoURL }",
+              response: "{ success: Boolean, user: Object }"
+            },
+            "GET /users/:email": {
+              description: "Get user details by email",
+              auth: "Required",
+              params: "email - User email address",
+              response: "User object"
+            },
+            "PATCH /users/admin/:id": {
+              description: "Make user admin (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              response: "{ success: Boolean }"
+            },
+            "PATCH /users/agent/:id": {
+              description: "Promote a user to agent without an application; recorded as an approved application (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              body: "{ reason }",
+              response: "{ modifiedCount: Number, applicationId: String }"
+            },
+            "PATCH /users/fraud/:id": {
+              description: "Mark user as fraud, hide their listings and cancel their open offers (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              body: "{ reason }",
+              response: "{ success: Boolean, hiddenProperties: Number, cancelledOffers: Number }"
+            },
+            "PATCH /users/unfraud/:id": {
+              description: "Clear a fraud flag and restore the user's previous state (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              body: "{ reason }",
+              response: "{ success: Boolean, restoredProperties: Number, restoredOffers: Number }"
+            },
+            "DELETE /users/:id": {
+              description: "Delete user and clean up or anonymize their data (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              response: "{ success: Boolean, deleted: Object, anonymized: Object, cancelledOffers: Number }"
+            },
+            "DELETE /users/me": {
+              description: "Delete the current user's account and clean up or anonymize their data; their listings are hard-deleted immediately (no restore window)",
+              auth: "Required",
+              response: "{ success: Boolean, deleted: Object, anonymized: Object, cancelledOffers: Number }"
+            },
+            "PATCH /users/me": {
+              description: "Update the current user's profile",
+              auth: "Required",
+              body: "{ name, photoURL (http(s) URL), phone, bio } - agents also { agency, languages, serviceAreas }; licenseNumber is fixed at approval",
+              response: "{ success: Boolean, user: Object, updatedProperties: Number }"
+            },
+            "POST /users/me/avatar": {
+              description: "Upload a profile photo (multipart field: avatar; jpeg, png or webp)",
+              auth: "Required",
+              response: "{ success: Boolean, photoURL: String }"
+            },
+            "GET /agents/:email": {
+              description: "Public agent profile",
+              params: "email - Agent email",
+              response: "Agent profile object with listingCount"
+            },
+            "GET /users/me/export": {
+              description: "Download all of the current user's data as JSON",
+              auth: "Required",
+              response: "{ exportedAt, user, wishlist, offers, reviews, reports, properties, agentApplications }"
+            },
+            "GET /users/:id/export": {
+              description: "Download all of a user's data as JSON (Admin only)",
+              auth: "Required - Admin",
+              params: "id - User ID",
+              response: "{ exportedAt, user, wishlist, offers, reviews, reports, properties, agentApplications }"
+            }
+          },
+          "Agent Applications": {
+            "POST /agent-applications": {
+              description: "Apply to become an agent",
+              auth: "Required",
+              body: "{ licenseNumber, agency, phone, idDocument }",
+              response: "{ success: Boolean, applicationId: String }"
+            },
+            "GET /agent-applications/me": {
+              description: "Get the current user's application history",
+              auth: "Required",
+              response: "Array of application objects"
+            },
+            "GET /agent-applications": {
+              description: "Review queue, oldest first (Admin only)",
+              auth: "Required - Admin",
+              query: "status (default pending, or all), email",
+              response: "Array of application objects"
+            },
+            "PATCH /agent-applications/approve/:id": {
+              description: "Approve an application and make the applicant an agent; 409 (application stays pending) if the applicant is no longer a plain user (Admin only)",
+              auth: "Required - Admin",
+              body: "{ notes }",
+              response: "{ success: Boolean, roleUpdated: Boolean }"
+            },
+            "PATCH /agent-applications/reject/:id": {
+              description: "Reject an application (Admin only)",
+              auth: "Required - Admin",
+              body: "{ reason, notes }",
+              response: "{ success: Boolean }"
+            }
+          },
+          "Property Management": {
+            "GET /properties": {
+              description: "Get all verified properties with filters",
+              query: "search (supports \"phrases\" and -exclusions), sort (relevance/distance/newest/oldest/price-asc/price-desc), minPrice, maxPrice, near (lat,lng), radiusKm (default 25), bbox (minLng,minLat,maxLng,maxLat), propertyType (comma list), bedrooms or minBedrooms/maxBedrooms, minBathrooms, maxBathrooms, minArea, maxArea (sqft), minYearBuilt, maxYearBuilt, minParking, amenities (comma list, all required), saleStatus (available/under-offer/sold/all; sold and withdrawn are hidden by default), admin (true, needs an admin Bearer token), deleted (true, admin only), facets (true), page, limit (max 100)",
+              response: "{ properties: Array, total, page, limit, totalPages, facets? } - each property has a saleStatus"
+            },
+            "GET /property-attributes": {
+              description: "Allowed property types, area units and amenities",
+              response: "{ propertyTypes: Array, areaUnits: Array, amenities: Array }"
+            },
+            "GET /search-stats": {
+              description: "Most searched terms and zero-result searches (Admin only)",
+              auth: "Required - Admin",
+              query: "days (default 30)",
+              response: "{ days, terms: Array }"
+            },
+            "GET /properties/:id": {
+              description: "Get property details by ID; records a view, counted once per viewer (Bearer token or X-Session-Id header) every 30 minutes",
+              params: "id - Property ID",
+              response: "Property object"
+            },
+            "GET /properties/agent/:email": {
+              description: "Get properties by agent email",
+              auth: "Required",
+              params: "email - Agent email",
+              response: "Array of property objects"
+            },
+            "GET /advertised-properties": {
+              description: "Get featured properties from active campaigns, rotated fairly (limit 4)",
+              response: "Array of advertised property objects with campaignId"
+            },
+            "POST /properties": {
+              description: "Add new property (Agent only)",
+              auth: "Required - Agent",
+              body: "{ title, location, image, priceMin, priceMax (or priceRange), latitude, longitude, description, propertyType, bedrooms, bathrooms, area: { value, unit }, yearBuilt, parking, amenities (array or comma list) }",
+              response: "{ success: Boolean, property: Object }"
+            },
+            "PUT /properties/:id": {
+              description: "Update your own property (Agent/Admin only). Material changes to a verified listing send it back to pending",
+              auth: "Required - Agent/Admin",
+              params: "id - Property ID",
+              body: "Any of the POST /properties fields",
+              response: "{ modifiedCount: Number, status: String, changedFields: Array }"
+            },
+            "GET /properties/:id/history": {
+              description: "Revision history with field-level changes (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              response: "Array of revision objects"
+            },
+            "PATCH /properties/verify/:id": {
+              description: "Verify property (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              body: "{ notes }",
+              response: "{ success: Boolean }"
+            },
+            "PATCH /properties/reject/:id": {
+              description: "Reject property with a reason (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              body: "{ reason, notes }",
+              response: "{ success: Boolean }"
+            },
+            "PATCH /properties/resubmit/:id": {
+              description: "Send a fixed, rejected property back for review (owning Agent)",
+              auth: "Required - Agent",
+              params: "id - Property ID",
+              body: "{ notes }",
+              response: "{ success: Boolean, status: String }"
+            },
+            "POST /properties/:id/images": {
+              description: "Upload gallery images (multipart field: images, up to 10 per request; jpeg, png or webp)",
+              auth: "Required - owning Agent/Admin",
+              params: "id - Property ID",
+              response: "{ success: Boolean, images: Array, coverImageId: String, image: String }"
+            },
+            "PATCH /properties/:id/images/order": {
+              description: "Reorder gallery images (409 if the gallery changed meanwhile)",
+              auth: "Required - owning Agent/Admin",
+              body: "{ imageIds: Array }",
+              response: "{ success: Boolean, images: Array }"
+            },
+            "PATCH /properties/:id/images/cover": {
+              description: "Choose the cover image",
+              auth: "Required - owning Agent/Admin",
+              body: "{ imageId }",
+              response: "{ success: Boolean, coverImageId: String, image: String }"
+            },
+            "DELETE /properties/:id/images/:imageId": {
+              description: "Delete a gallery image",
+              auth: "Required - owning Agent/Admin",
+              response: "{ success: Boolean, images: Array }"
+            },
+            "GET /properties/:id/moderation": {
+              description: "Moderation timeline of a property (owning Agent or Admin)",
+              auth: "Required",
+              params: "id - Property ID",
+              response: "{ status, rejection, moderationHistory: Array }"
+            },
+            "GET /moderation/properties": {
+              description: "Moderation queue, longest-waiting first (Admin only)",
+              auth: "Required - Admin",
+              query: "status (pending/verified/rejected, default pending), page, limit",
+              response: "{ properties: Array, total, page, limit, totalPages }"
+            },
+            "PATCH /properties/advertise/:id": {
+              description: "Schedule an advertising campaign for a verified property (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              body: "{ startsAt, endsAt } - defaults to now for 30 days",
+              response: "{ success: Boolean, campaignId: String, status: String }"
+            },
+            "PATCH /properties/unadvertise/:id": {
+              description: "Cancel a property's running and scheduled campaigns (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              response: "{ success: Boolean, cancelledCampaigns: Number }"
+            },
+            "GET /campaigns": {
+              description: "Advertising campaigns with impressions, clicks and CTR (Admin only)",
+              auth: "Required - Admin",
+              query: "status (scheduled/active/ended/cancelled), propertyId",
+              response: "Array of campaign objects"
+            },
+            "POST /campaigns/:id/click": {
+              description: "Record a click on a featured property (running campaigns only; counted once per viewer)",
+              params: "id - Campaign ID",
+              response: "{ success: Boolean, counted: Boolean }"
+            },
+            "POST /jobs/end-campaigns": {
+              description: "Clear the advertised flag of listings whose campaigns have ended (scheduled by cron, which may call it with GET; 409 while already running)",
+              auth: "Required - CRON_SECRET (GET or POST) or Admin (POST)",
+              response: "{ success: Boolean, unadvertised: Number }"
+            },
+            "GET /properties/:id/similar": {
+              description: "Verified, available listings ranked by similarity in location, price band and attributes",
+              params: "id - Property ID",
+              query: "limit (default 6, max 20)",
+              response: "Array of property objects with similarityScore (0-1)"
+            },
+            "GET /recommendations/me": {
+              description: "Listings suggested from the user's wishlist, offers and recently viewed properties; newest listings when there is no history",
+              auth: "Required",
+              query: "viewed (comma list of recently viewed property IDs, merged with tracked views), limit (default 12, max 50)",
+              response: "{ properties: Array, basedOn: { wishlist, offers, viewed } }"
+            },
+            "POST /properties/import": {
+              description: "Bulk-import listings from CSV as pending; all rows must be valid (Agent only)",
+              auth: "Required - Agent",
+              query: "dryRun (true) - validate only",
+              body: "multipart 'file' (.csv, max 500 rows) or { csv }; columns: title, location, description, image, priceMin, priceMax, priceRange, propertyType, bedrooms, bathrooms, parking, yearBuilt, areaValue, areaUnit, amenities (a|b), latitude, longitude",
+              response: "{ dryRun, totalRows, validRows, errors: [{ row, error }], imported?, propertyIds? }"
+            },
+            "GET /properties/agent/:email/export": {
+              description: "Export an agent's listings (Agent self/Admin)",
+              auth: "Required - Agent/Admin",
+              params: "email - Agent email",
+              query: "format (json/csv, default json)",
+              response: "Array of property objects, or a CSV file"
+            },
+            "GET /properties/export": {
+              description: "Export all properties with moderation, sale and deletion status (Admin only)",
+              auth: "Required - Admin",
+              query: "status (all/pending/verified/rejected, default all), format (json/csv, default json)",
+              response: "Array of property objects, or a CSV file"
+            },
+            "PATCH /properties/withdraw/:id": {
+              description: "Take an available or under-offer property off the market; open offers are cancelled (Owner/Admin)",
+              auth: "Required - Agent/Admin",
+              params: "id - Property ID",
+              response: "{ success: Boolean, saleStatus: String, cancelledOffers: Number }"
+            },
+            "PATCH /properties/relist/:id": {
+              description: "Put a withdrawn property back on the market (Owner/Admin)",
+              auth: "Required - Agent/Admin",
+              params: "id - Property ID",
+              response: "{ success: Boolean, saleStatus: String }"
+            },
+            "DELETE /properties/:id": {
+              description: "Soft-delete property; open offers are cancelled and wishlist entries flagged (Agent/Admin only)",
+              auth: "Required - Agent/Admin",
+              params: "id - Property ID",
+              response: "{ modifiedCount, purgeAfter, cancelledOffers, flaggedWishlistEntries }"
+            },
+            "PATCH /properties/restore/:id": {
+              description: "Restore a soft-deleted property before it is purged (Admin only)",
+              auth: "Required - Admin",
+              params: "id - Property ID",
+              response: "{ success: Boolean, restoredWishlistEntries: Number }"
+            },
+            "POST /jobs/purge-deleted-properties": {
+              description: "Hard-delete properties deleted more than PROPERTY_RETENTION_DAYS ago (scheduled by cron, which may call it with GET; 409 while already running)",
+              auth: "Required - CRON_SECRET (GET or POST) or Admin (POST)",
+              response: "{ success: Boolean, retentionDays: Number, deleted: { properties, wishlist, revisions } }"
+            }
+          },
+          "Wishlist Management": {
+            "GET /wishlist/:email": {
+              description: "Get user's wishlist properties",
+              params: "email - User email",
+              response: "Array of property objects, each with deleted: Boolean. Soft-deleted listings keep their fields with deleted: true; listings that were purged (or never existed) come back as { _id: propertyId, deleted: true } only"
+            },
+            "POST /wishlist": {
+              description: "Add property to wishlist",
+              body: "{ userEmail, propertyId }",
+              response: "{ success: Boolean, wishlist: Object }"
+            },
+            "DELETE /wishlist/:id": {
+              description: "Remove property from wishlist",
+              params: "id - Wishlist item ID",
+              response: "{ success: Boolean }"
+            }
+          },
+          "Analytics": {
+            "GET /analytics/agent/:email": {
+              description: "Per-listing views, saves, offers, conversion rate and time-to-sale, with totals (Agent self/Admin)",
+              auth: "Required - Agent/Admin",
+              params: "email - Agent email",
+              query: "from, to (ISO dates, default last 30 days)",
+              response: "{ from, to, totals: Object, listings: Array }"
+            }
+          },
+          "Saved Searches": {
+            "GET /saved-searches": {
+              description: "Current user's saved searches with unseen match counts",
+              auth: "Required",
+              response: "Array of saved search objects with unseenCount"
+            },
+            "POST /saved-searches": {
+              description: "Save a named search (max 20 per user)",
+              auth: "Required",
+              body: "{ name, params: { search, minPrice, maxPrice, propertyType, bedrooms, near, radiusKm, bbox, amenities, ... }, paused? }",
+              response: "{ success: Boolean, savedSearch: Object }"
+            },
+            "PATCH /saved-searches/:id": {
+              description: "Rename, change filters, or pause/resume a saved search",
+              auth: "Required - Owner",
+              params: "id - Saved search ID",
+              body: "{ name?, params?, paused? }",
+              response: "{ success: Boolean, savedSearch: Object }"
+            },
+            "DELETE /saved-searches/:id": {
+              description: "Delete a saved search and its matches",
+              auth: "Required - Owner",
+              params: "id - Saved search ID",
+              response: "{ deletedCount: Number, deletedAlerts: Number }"
+            },
+            "GET /saved-searches/matches": {
+              description: "Unseen new-listing matches, newest first",
+              auth: "Required",
+              query: "savedSearchId, page, limit",
+              response: "{ matches: Array, total, page, limit, totalPages }"
+            },
+            "PATCH /saved-searches/matches/seen": {
+              description: "Mark matches as seen (all unseen ones when ids is omitted)",
+              auth: "Required",
+              body: "{ ids? }",
+              response: "{ success: Boolean, markedSeen: Number }"
+            },
+            "POST /jobs/saved-search-alerts": {
+              description: "Match saved searches against newly verified listings and send digests (scheduled by cron, which may call it with GET; 409 while already running)",
+              auth: "Required - CRON_SECRET (GET or POST) or Admin (POST)",
+              response: "{ success: Boolean, searches: Number, matches: Number, digests: Number }"
+            }
+          },
+          "Offer Management": {
+            "GET /offers": {
+              description: "Get all offers (Admin only)",
+              auth: "Required - Admin",
+              response: "Array of offer objects"
+            },
+            "GET /offers/user/:email": {
+              description: "Get offers by user email",
+              params: "email - User email",
+              response: "Array of user's offer objects"
+            },
+            "GET /offers/agent/:email": {
+              description: "Get offers for agent's properties",
+              params: "email - Agent email",
+              response: "Array of offer objects for agent"
+            },
+            "POST /offers": {
+              description: "Make offer on a verified, available property",
+              body: "{ propertyId, buyerEmail, agentEmail, offeredAmount }",
+              response: "{ success: Boolean, offer: Object }"
+            },
+            "PATCH /offers/accept/:id": {
+              description: "Accept a pending offer; the property becomes under-offer and other pending offers are rejected (Agent only)",
+              auth: "Required - Agent",
+              params: "id - Offer ID",
+              response: "{ success: Boolean }"
+            },
+            "PATCH /offers/reject/:id": {
+              description: "Reject an open offer; rejecting the accepted one makes the property available again (Agent only)",
+              auth: "Required - Agent",
+              params: "id - Offer ID",
+              response: "{ success: Boolean }"
+            },
+            "PATCH /offers/bought/:id": {
+              description: "Pay for an accepted offer; the property becomes sold",
+              params: "id - Offer ID",
+              body: "{ transactionId }",
+              response: "{ success: Boolean }"
+            }
+          },
+          "Review Management": {
+            "GET /reviews": {
+              description: "Get latest reviews (limit 3)",
+              response: "Array of review objects"
+            },
+            "GET /reviews/property/:id": {
+              description: "Get reviews for specific property",
+              params: "id - Property ID",
+              response: "Array of review objects"
+            },
+            "GET /reviews/user/:email": {
+              description: "Get reviews by user",
+              params: "email - User email",
+              response: "Array of user's review objects"
+            },
+            "POST /reviews": {
+              description: "Add new review",
+              body: "{ propertyId, reviewerEmail, rating, comment }",
+              response: "{ success: Boolean, review: Object }"
+            },
+            "DELETE /reviews/:id": {
+              description: "Delete review",
+              params: "id - Review ID",
+              response: "{ success: Boolean }"
+            }
+          },
+          "Payment Integration": {
+            "POST /create-payment-intent": {
+              description: "Create payment intent for property purchase",
+              body: "{ amount } - Amount in cents",
+              response: "{ clientSecret: String }"
+            }
+          }
+        },
+        "Environment": process.env.NODE_ENV || "development",
+        "Port": process.env.PORT || 5000,
+        "Timestamp": new Date().toISOString(),
+        "Note": "For detailed interactive documentation, visit http://localhost:5000"
+      };
+      
+      res.json(apiDocumentation);
+    });
+
+    // Health Check Route
+    app.get('/health', (req, res) => {
+      res.json({
+        status: 'OK',
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString(),
+        database: 'Connected'
+      });
+    });
+
+    // Seed Sample Data (for testing)
+    app.post('/seed-data', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        // Check if data already exists
+        const existingProperties = await propertiesCollection.countDocuments();
+        if (existingProperties > 0) {
+          return res.json({ message: 'Data already exists', count: existingProperties });
+        }
+
+        // Sample properties
+        const sampleProperties = [
+          {
+            title: "Modern Family Home",
+            location: "Downtown, New York",
+            image: "https://images.unsplash.com/photo-1564013799919-ab600027ffc6?w=800",
+            priceRange: "$300,000 - $400,000",
+            priceMin: 300000,
+            priceMax: 400000,
+            geoLocation: { type: "Point", coordinates: [-74.006, 40.7128] },
+            propertyType: "house",
+            bedrooms: 3,
+            bathrooms: 2,
+            area: { value: 2200, unit: "sqft" },
+            areaSqft: 2200,
+            yearBuilt: 2015,
+            parking: 2,
+            amenities: ["garden", "laundry"],
+            description: "Beautiful modern family home with 3 bedrooms and 2 bathrooms. Perfect for a growing family.",
+            agentName: "John Smith",
+            agentEmail: "john@example.com",
+            agentImage: "https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150",
+            status: "verified",
+            advertised: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          },
+          {
+            title: "Luxury Apartment",
+            location: "Manhattan, New York",
+            image: "https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800",
+            priceRange: "$500,000 - $700,000",
+            priceMin: 500000,
+            priceMax: 700000,
+            geoLocation: { type: "Point", coordinates: [-73.9712, 40.7831] },
+            propertyType: "apartment",
+            bedrooms: 2,
+            bathrooms: 2,
+            area: { value: 1100, unit: "sqft" },
+            areaSqft: 1100,
+            yearBuilt: 2018,
+            parking: 1,
+            amenities: ["elevator", "gym", "security"],
+            description: "Luxurious apartment in the heart of Manhattan with stunning city views.",
+            agentName: "Sarah Johnson",
+            agentEmail: "sarah@example.com",
+            agentImage: "https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150",
+            status: "verified",
+            advertised: false,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          },
+          {
+            title: "Cozy Suburban House",
+            location: "Queens, New York",
+            image: "https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=800",
+            priceRange: "$250,000 - $350,000",
+            priceMin: 250000,
+            priceMax: 350000,
+            geoLocation: { type: "Point", coordinates: [-73.7949, 40.7282] },
+            propertyType: "house",
+            bedrooms: 3,
+            bathrooms: 1.5,
+            area: { value: 1800, unit: "sqft" },
+            areaSqft: 1800,
+            yearBuilt: 1995,
+            parking: 1,
+            amenities: ["garden", "fireplace"],
+            description: "Charming suburban house with a beautiful garden and quiet neighborhood.",
+            agentName: "Mike Davis",
+            agentEmail: "mike@example.com",
+            agentImage: "https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150",
+            status: "verified",
+            advertised: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          },
+          {
+            title: "Pending Property",
+            location: "Brooklyn, New York",
+            image: "https://images.unsplash.com/photo-1582407947304-fd86f028f716?w=800",
+            priceRange: "$200,000 - $300,000",
+            priceMin: 200000,
+            priceMax: 300000,
+            geoLocation: { type: "Point", coordinates: [-73.9442, 40.6782] },
+            propertyType: "apartment",
+            bedrooms: 1,
+            bathrooms: 1,
+            area: { value: 750, unit: "sqft" },
+            areaSqft: 750,
+            yearBuilt: 1960,
+            parking: 0,
+            amenities: ["laundry"],
+            description: "This property is still pending verification.",
+            agentName: "Lisa Brown",
+            agentEmail: "lisa@example.com",
+            agentImage: "https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=150",
+            status: "pending",
+            advertised: false,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          }
+        ];
+
+        // Insert sample properties
+        const propertiesResult = await propertiesCollection.insertMany(sampleProperties);
+
+        // Advertised samples get a running campaign so they show up as featured
+        const campaignStart = new Date();
+        const sampleCampaigns = sampleProperties
+          .map((property, index) => ({ property, propertyId: propertiesResult.insertedIds[index] }))
+          .filter(({ property }) => property.advertised)
+          .map(({ property, propertyId }) => ({
+            propertyId,
+            propertyTitle: property.title,
+            agentEmail: property.agentEmail,
+            startsAt: campaignStart,
+            endsAt: new Date(campaignStart.getTime() + DEFAULT_CAMPAIGN_DAYS * 24 * 60 * 60 * 1000),
+            createdBy: req.user.email,
+            createdAt: campaignStart,
+            impressions: 0,
+            clicks: 0,
+            lastShownAt: null
+          }));
+        await adCampaignsCollection.insertMany(sampleCampaigns);
+        
+        // Sample users
+        const sampleUsers = [
+          {
+            uid: "admin-uid-1",
+            email: "admin@example.com",
+            name: "Admin User",
+            photoURL: "https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150",
+            role: "admin",
+            createdAt: new Date()
+          },
+          {
+            uid: "agent-uid-1",
+            email: "john@example.com",
+            name: "John Smith",
+            photoURL: "https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150",
+            role: "agent",
+            createdAt: new Date()
+          },
+          {
+            uid: "user-uid-1",
+            email: "user@example.com",
+            name: "Regular User",
+            photoURL: "https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150",
+            role: "user",
+            createdAt: new Date()
+          }
+        ];
+
+        // Insert sample users
+        const usersResult = await usersCollection.insertMany(sampleUsers);
+
+        res.json({
+          message: 'Sample data created successfully',
+          properties: propertiesResult.insertedCount,
+          users: usersResult.insertedCount
+        });
+      } catch (error) {
+        console.error('Error seeding data:', error);
+        res.status(500).json({ message: 'Error seeding data', error: error.message });
+      }
+    });
+
+    // Clear all data (for testing)
+    app.delete('/clear-data', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const propertiesDeleted = await propertiesCollection.deleteMany({});
+        const usersDeleted = await usersCollection.deleteMany({});
+        const wishlistDeleted = await wishlistCollection.deleteMany({});
+        const offersDeleted = await offersCollection.deleteMany({});
+        const reviewsDeleted = await reviewsCollection.deleteMany({});
+        const campaignsDeleted = await adCampaignsCollection.deleteMany({});
+        await campaignClicksCollection.deleteMany({});
+
+        res.json({
+          message: 'All data cleared successfully',
+          deleted: {
+            properties: propertiesDeleted.deletedCount,
+            users: usersDeleted.deletedCount,
+            wishlist: wishlistDeleted.deletedCount,
+            offers: offersDeleted.deletedCount,
+            reviews: reviewsDeleted.deletedCount,
+            campaigns: campaignsDeleted.deletedCount
+          }
+        });
+      } catch (error) {
+        console.error('Error clearing data:', error);
+        res.status(500).json({ message: 'Error clearing data', error: error.message });
+      }
+    });
+
+    // A local registration whose email was never verified doesn't prove who
+    // owns the address. When the verified Firebase owner signs in, they take
+    // the account over and the unverified password is dropped, so whoever
+    // registered first can't keep access to it.
+    const claimUnverifiedAccount = (email, uid) => usersCollection.updateOne(
+      { email, emailVerified: false },
+      {
+        $set: { emailVerified: true, authProvider: 'firebase', uid },
+        $unset: { passwordHash: '', emailVerification: '', passwordReset: '' }
+      }
+    );
+
+    // Stores a new email verification token for the user and mails the link
+    const sendEmailVerification = async (user) => {
+      const verificationToken = crypto.randomBytes(32).toString('hex');
+      await usersCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            emailVerification: {
+              tokenHash: hashToken(verificationToken),
+              expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+            }
+          }
+        }
+      );
+
+      const verifyUrl = `${process.env.FRONTEND_PROD_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Verify your Elite Properties email address',
+        text: `Use the link below to verify your email address and sign in. It expires in 24 hours.\n\n${verifyUrl}`
+      });
+    };
+
+    // JWT token generation
+    // Exchanges a verified Firebase ID token for one of our own access tokens
+    app.post('/jwt', async (req, res) => {
+      if (!isFirebaseConfigured()) {
+        return res.status(503).json({ error: 'Firebase authentication is not configured' });
+      }
+
+      const idToken = getBearerToken(req) || req.body.idToken;
+      if (!idToken) {
+        return res.status(401).json({ error: 'Firebase ID token required' });
+      }
+
+      try {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || decoded.header.alg !== 'RS256') {
+          return res.status(401).json({ error: 'Invalid Firebase ID token' });
+        }
+
+        const payload = await verifyFirebaseToken(idToken, decoded.header);
+        await claimUnverifiedAccount(payload.email, payload.sub);
+        const user = await usersCollection.findOne({ email: payload.email }, { projection: { role: 1 } });
+        if (user && user.role === 'fraud') {
+          return res.status(403).json(ACCOUNT_FRAUD_ERROR);
+        }
+        res.send(await sessionStore.issueSession(payload.email, req));
+      } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+          const message = error.message === 'email not verified'
+            ? 'Verify your email address before signing in'
+            : 'Invalid Firebase ID token';
+          return res.status(401).json({ error: message });
+        }
+        console.error('Error issuing JWT:', error);
+        res.status(500).json({ error: 'Failed to issue token' });
+      }
+    });
+
+    // Local Authentication APIs (email/password accounts without Firebase)
+    app.post('/auth/register', async (req, res) => {
+      try {
+        const email = normalizeEmail(req.body.email);
+        const { name, photoURL, password } = req.body;
+
+        if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+          return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+          return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const existingUser = await usersCollection.findOne({ email });
+        if (existingUser) {
+          return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        // No session until the address is verified through the mailed link
+        const user = {
+          email,
+          name: name || email.split('@')[0],
+          photoURL: photoURL || '',
+          role: 'user',
+          authProvider: 'local',
+          emailVerified: false,
+          passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+          createdAt: new Date()
+        };
+        const result = await usersCollection.insertOne(user);
+        user._id = result.insertedId;
+        await sendEmailVerification(user);
+
+        res.status(201).json({
+          success: true,
+          message: 'Check your email for a link to verify your address',
+          user: sanitizeUser(user)
+        });
+      } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Failed to register user' });
+      }
+    });
+
+    app.post('/auth/login', async (req, res) => {
+      try {
+        const email = normalizeEmail(req.body.email);
+        const { password } = req.body;
+
+        const user = email ? await usersCollection.findOne({ email }) : null;
+        const passwordMatches = user && user.passwordHash && typeof password === 'string'
+          ? await bcrypt.compare(password, user.passwordHash)
+          : false;
+
+        if (!passwordMatches) {
+          return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        if (user.role === 'fraud') {
+          return res.status(403).json(ACCOUNT_FRAUD_ERROR);
+        }
+        // Accounts registered before verification existed have no emailVerified field
+        if (user.emailVerified === false) {
+          return res.status(403).json({ error: 'Verify your email address before signing in', code: 'EMAIL_NOT_VERIFIED' });
+        }
+
+        res.json({ success: true, ...(await sessionStore.issueSession(user.email, req)), user: sanitizeUser(user) });
+      } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+      }
+    });
+
+    app.post('/auth/verify-email', async (req, res) => {
+      try {
+        const { token } = req.body;
+
+        if (typeof token !== 'string' || !token) {
+          return res.status(400).json({ error: 'Verification token is required' });
+        }
+
+        const user = await usersCollection.findOneAndUpdate(
+          {
+            'emailVerification.tokenHash': hashToken(token),
+            'emailVerification.expiresAt': { $gt: new Date() }
+          },
+          { $set: { emailVerified: true, emailVerifiedAt: new Date() }, $unset: { emailVerification: '' } },
+          { returnDocument: 'after' }
+        );
+        if (!user) {
+          return res.status(400).json({ error: 'Verification token is invalid or has expired' });
+        }
+        if (user.role === 'fraud') {
+          return res.status(403).json(ACCOUNT_FRAUD_ERROR);
+        }
+
+        res.json({ success: true, ...(await sessionStore.issueSession(user.email, req)), user: sanitizeUser(user) });
+      } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+      }
+    });
+
+    app.post('/auth/resend-verification', async (req, res) => {
+      // Same response whether or not the account exists, so this can't be used to probe emails
+      const response = { success: true, message: 'If that account needs verifying, a new link has been sent' };
+
+      try {
+        const email = normalizeEmail(req.body.email);
+        const user = email ? await usersCollection.findOne({ email, emailVerified: false }) : null;
+
+        if (user) {
+          await sendEmailVerification(user);
+        }
+        res.json(response);
+      } catch (error) {
+        console.error('Error resending email verification:', error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
+      }
+    });
+
+    app.post('/auth/change-password', verifyUser, async (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!req.user.passwordHash) {
+          return res.status(400).json({ error: 'This account does not use a local password' });
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+          return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const passwordMatches = typeof currentPassword === 'string' &&
+          await bcrypt.compare(currentPassword, req.user.passwordHash);
+        if (!passwordMatches) {
+          return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        await usersCollection.updateOne(
+          { _id: req.user._id },
+          {
+            $set: { passwordHash: await bcrypt.hash(newPassword, BCRYPT_ROUNDS), passwordChangedAt: new Date() },
+            $unset: { passwordReset: '' }
+          }
+        );
+        await sessionStore.revokeUserSessions(req.user.email, 'password-change', { exceptSessionId: req.decoded.sid });
+
+        res.json({ success: true, message: 'Password changed successfully' });
+      } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+      }
+    });
+
+    app.post('/auth/forgot-password', async (req, res) => {
+      // Same response whether or not the account exists, so this can't be used to probe emails
+      const response = { success: true, message: 'If that account exists, a reset link has been sent' };
+
+      try {
+        const email = normalizeEmail(req.body.email);
+        const user = email ? await usersCollection.findOne({ email }) : null;
+
+        if (!user || !user.passwordHash) {
+          return res.json(response);
+        }
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        await usersCollection.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              passwordReset: {
+                tokenHash: hashToken(resetToken),
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+              }
+            }
+          }
+        );
+
+        const resetUrl = `${process.env.FRONTEND_PROD_URL || 'http://localhost:5173'}/reset-password?token=${resetToken}`;
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your Elite Properties password',
+          text: `Use the link below to reset your password. It expires in one hour.\n\n${resetUrl}`
+        });
+
+        res.json(response);
+      } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+      }
+    });
+
+    app.post('/auth/reset-password', async (req, res) => {
+      try {
+        const { token, newPassword } = req.body;
+
+        if (typeof token !== 'string' || !token) {
+          return res.status(400).json({ error: 'Reset token is required' });
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+          return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const user = await usersCollection.findOne({
+          'passwordReset.tokenHash': hashToken(token),
+          'passwordReset.expiresAt': { $gt: new Date() }
+        });
+        if (!user) {
+          return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+        }
+
+        // The reset link went to the account's address, which verifies it
+        await usersCollection.updateOne(
+          { _id: user._id },
+          {
+            $set: { passwordHash: await bcrypt.hash(newPassword, BCRYPT_ROUNDS), passwordChangedAt: new Date(), emailVerified: true },
+            $unset: { passwordReset: '', emailVerification: '' }
+          }
+        );
+        await sessionStore.revokeUserSessions(user.email, 'password-reset');
+
+        res.json({ success: true, message: 'Password has been reset' });
+      } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+      }
+    });
+
+    app.post('/auth/refresh', async (req, res) => {
+      try {
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+          return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const result = await sessionStore.rotateSession(refreshToken);
+        if (result.error) {
+          return res.status(401).json({ error: result.error, code: result.code });
+        }
+
+        res.json(result);
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+      }
+    });
+
+    app.post('/auth/logout', verifyUser, async (req, res) => {
+      try {
+        if (req.decoded.sid) {
+          await sessionStore.revokeSession(req.decoded.sid, 'logout');
+        }
+        res.json({ success: true, message: 'Logged out' });
+      } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+      }
+    });
+
+    app.post('/auth/logout-all', verifyUser, async (req, res) => {
+      try {
+        const result = await sessionStore.revokeUserSessions(req.user.email, 'logout-all');
+        res.json({ success: true, message: 'Logged out of all sessions', revokedCount: result.modifiedCount });
+      } catch (error) {
+        console.error('Error logging out of all sessions:', error);
+        res.status(500).json({ error: 'Failed to log out of all sessions' });
+      }
+    });
+
+    // User Management APIs
+
+    // A role change must not leave tokens carrying the old privileges around
+    const revokeSessionsAfterRoleChange = async (filter, result) => {
+      if (result.modifiedCount === 0) return;
+      const user = await usersCollection.findOne(filter, { projection: { email: 1 } });
+      if (user) {
+        await sessionStore.revokeUserSessions(user.email, 'role-change');
+      }
+    };
+
+    const USER_ROLES = ['user', 'agent', 'admin', 'fraud'];
+
+    // Admin user directory: paginated, searchable, with activity counts
+    // Activity counts for the user directory. Each lookup is an equality
+    // match on an indexed email field (see the indexes above).
+    const USER_ACTIVITY_COUNT_STAGES = [
+      { $lookup: { from: 'properties', localField: 'email', foreignField: 'agentEmail', pipeline: [{ $count: 'count' }], as: 'propertyCount' } },
+      { $lookup: { from: 'offers', localField: 'email', foreignField: 'buyerEmail', pipeline: [{ $count: 'count' }], as: 'offerCount' } },
+      { $lookup: { from: 'reviews', localField: 'email', foreignField: 'reviewerEmail', pipeline: [{ $count: 'count' }], as: 'reviewerCount' } },
+      { $lookup: { from: 'reviews', localField: 'email', foreignField: 'userEmail', pipeline: [{ $count: 'count' }], as: 'reviewedCount' } },
+      {
+        $set: {
+          counts: {
+            properties: { $ifNull: [{ $first: '$propertyCount.count' }, 0] },
+            offers: { $ifNull: [{ $first: '$offerCount.count' }, 0] },
+            reviews: {
+              $add: [
+                { $ifNull: [{ $first: '$reviewerCount.count' }, 0] },
+                { $ifNull: [{ $first: '$reviewedCount.count' }, 0] }
+              ]
+            }
+          }
+        }
+      },
+      { $unset: ['propertyCount', 'offerCount', 'reviewerCount', 'reviewedCount'] }
+    ];
+    // Cap for the unpaged (legacy) response; clients that need more must page
+    const MAX_UNPAGED_USERS = 500;
+
+    app.get('/users', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const { search, role, sort } = req.query;
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        // Without page/limit the original response shape (a plain array of
+        // matching users, at most MAX_UNPAGED_USERS) is kept for existing clients
+        const paged = req.query.page !== undefined || req.query.limit !== undefined;
+
+        const query = {};
+        if (role && role !== 'all') {
+          if (!USER_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+          }
+          query.role = role;
+        }
+        if (search) {
+          const pattern = escapeRegex(search);
+          query.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
+          ];
+        }
+
+        const sortOrder = sort === 'oldest' ? 1 : -1;
+        const [users, total] = await Promise.all([
+          usersCollection.aggregate([
+            { $match: query },
+            { $sort: { createdAt: sortOrder, _id: sortOrder } },
+            ...(paged ? [{ $skip: skip }, { $limit: limit }] : [{ $limit: MAX_UNPAGED_USERS }]),
+            { $project: USER_PRIVATE_FIELDS },
+            ...USER_ACTIVITY_COUNT_STAGES
+          ]).toArray(),
+          paged ? usersCollection.countDocuments(query) : null
+        ]);
+
+        if (!paged) {
+          return res.json(users);
+        }
+
+        res.json({
+          users,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit)
+        });
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+      }
+    });
+
+    app.get('/users/:email', verifyUser, requireSelfOrAdmin(), async (req, res) => {
+      try {
+        const email = req.params.email;
+        const user = await usersCollection.findOne({ email: email }, { projection: USER_PRIVATE_FIELDS });
+        
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.send(user);
+      } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+      }
+    });
+
+    // Creates the profile for a Firebase sign-up. The email (and uid) come from
+    // the verified ID token, so nobody can claim an address they don't own.
+    app.post('/users', async (req, res) => {
+      if (!isFirebaseConfigured()) {
+        return res.status(503).json({ error: 'Firebase authentication is not configured' });
+      }
+
+      const idToken = getBearerToken(req);
+      const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+      if (!decoded || decoded.header.alg !== 'RS256') {
+        return res.status(401).json({ error: 'Firebase ID token required' });
+      }
+
+      try {
+        const payload = await verifyFirebaseToken(idToken, decoded.header);
+        const email = normalizeEmail(payload.email);
+
+        // Only profile fields are accepted; role and credentials are set server-side
+        const { name, photoURL } = req.body;
+        await claimUnverifiedAccount(email, payload.sub);
+        const existingUser = await usersCollection.findOne({ email });
+        if (existingUser) {
+          return res.send({ message: 'user already exists' });
+        }
+        const user = {
+          uid: payload.sub,
+          email,
+          name,
+          photoURL,
+          role: 'user',
+          authProvider: 'firebase',
+          createdAt: new Date()
+        };
+        const result = await usersCollection.insertOne(user);
+        res.send(result);
+      } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+          return res.status(401).json({ error: 'Invalid Firebase ID token' });
+        }
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+      }
+    });
+
+    // Role changes would leave a fraud account's flags and hidden listings
+    // behind, so they have to go through /users/unfraud/:id first
+    const FRAUD_ROLE_CHANGE_ERROR = 'This account is marked as fraud; clear it with /users/unfraud/:id before changing its role';
+
+    app.patch('/users/admin/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+        
+        const filter = { _id: new ObjectId(id) };
+        const user = await usersCollection.findOne(filter, { projection: { role: 1, fraud: 1 } });
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.fraud || user.role === 'fraud') {
+          return res.status(409).json({ error: FRAUD_ROLE_CHANGE_ERROR });
+        }
+
+        const updateDoc = {
+          $set: {
+            role: 'admin'
+          },
+        };
+        const result = await usersCollection.updateOne(filter, updateDoc);
+        await revokeSessionsAfterRoleChange(filter, result);
+        res.send(result);
+      } catch (error) {
+        console.error('Error updating user to admin:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Direct promotion skips the application flow, so it needs a reason and is
+    // recorded as an approved agentApplications entry for the audit trail
+    app.patch('/users/agent/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { reason } = req.body;
+        
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+          return res.status(400).json({ error: 'A reason is required to promote a user without an application' });
+        }
+        
+        const filter = { _id: new ObjectId(id) };
+        const user = await usersCollection.findOne(filter);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.fraud || user.role === 'fraud') {
+          return res.status(409).json({ error: FRAUD_ROLE_CHANGE_ERROR });
+        }
+        const pendingApplication = await agentApplicationsCollection.findOne({ userId: user._id, status: 'pending' });
+        if (pendingApplication) {
+          return res.status(409).json({
+            error: 'This user has a pending application; approve it instead',
+            applicationId: pendingApplication._id
+          });
+        }
+
+        // The role change goes first, guarded against a fraud flag set
+        // meanwhile, so the audit entry is only written for a real promotion
+        const now = new Date();
+        const applicationId = new ObjectId();
+        const updateDoc = {
+          $set: {
+            role: 'agent',
+            agentProfile: { ...(user.agentProfile || {}), applicationId, approvedAt: now }
+          },
+        };
+        const result = await usersCollection.updateOne({ ...filter, role: { $ne: 'fraud' }, fraud: { $exists: false } }, updateDoc);
+        if (result.matchedCount === 0) {
+          return res.status(409).json({ error: FRAUD_ROLE_CHANGE_ERROR });
+        }
+        await agentApplicationsCollection.insertOne({
+          _id: applicationId,
+          userId: user._id,
+          email: user.email,
+          name: user.name,
+          status: 'approved',
+          source: 'admin-promotion',
+          reason: reason.trim(),
+          submittedAt: now,
+          reviewedBy: req.user.email,
+          reviewedAt: now
+        });
+        await revokeSessionsAfterRoleChange(filter, result);
+        res.send({ ...result, applicationId });
+      } catch (error) {
+        console.error('Error updating user to agent:', error);
+        res.status(500).json({ error: 'Failed to update user role' });
+      }
+    });
+
+    // Marking a user as fraud hides their listings, cancels their open offers
+    // and blocks their logins. Everything touched is recorded on the user's
+    // `fraud` entry so that /users/unfraud/:id can undo it.
+    app.patch('/users/fraud/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { reason } = req.body;
+        
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+          return res.status(400).json({ error: 'A reason is required to mark a user as fraud' });
+        }
+        
+        const filter = { _id: new ObjectId(id) };
+        const user = await usersCollection.findOne(filter);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.role === 'fraud') {
+          return res.status(400).json({ error: 'User is already marked as fraud' });
+        }
+        if (user.role === 'admin') {
+          return res.status(400).json({ error: 'Admins cannot be marked as fraud' });
+        }
+
+        const openOffers = await offersCollection.find(
+          {
+            $or: [{ agentEmail: user.email }, { buyerEmail: user.email }],
+            status: { $in: OPEN_OFFER_STATUSES }
+          },
+          { projection: { status: 1, propertyId: 1 } }
+        ).toArray();
+
+        const flaggedAt = new Date();
+        const result = await usersCollection.updateOne(filter, {
+          $set: {
+            role: 'fraud',
+            fraud: {
+              previousRole: user.role,
+              flaggedBy: req.user.email,
+              flaggedAt,
+              reason: reason.trim(),
+              cancelledOffers: openOffers.map(offer => ({ offerId: offer._id, previousStatus: offer.status }))
+            }
+          }
+        });
+        await revokeSessionsAfterRoleChange(filter, result);
+        
+        // Listings keep their status so they come back unchanged on unfraud
+        const propertiesResult = await propertiesCollection.updateMany(
+          { agentEmail: user.email },
+          { $set: { agentFraud: true, updatedAt: flaggedAt } }
+        );
+
+        const offersResult = await offersCollection.updateMany(
+          { _id: { $in: openOffers.map(offer => offer._id) } },
+          { $set: { status: 'cancelled', cancelledReason: 'fraud', cancelledAt: flaggedAt } }
+        );
+
+        // Properties held by a cancelled accepted offer go back on the market
+        const acceptedOfferIds = openOffers.filter(offer => offer.status === 'accepted').map(offer => offer._id);
+        if (acceptedOfferIds.length > 0) {
+          await propertiesCollection.updateMany(
+            { saleStatus: 'under-offer', acceptedOfferId: { $in: acceptedOfferIds } },
+            { $set: { saleStatus: 'available', saleStatusUpdatedAt: flaggedAt }, $unset: { acceptedOfferId: '' } }
+          );
+        }
+        
+        res.send({
+          success: true,
+          modifiedCount: result.modifiedCount,
+          hiddenProperties: propertiesResult.modifiedCount,
+          cancelledOffers: offersResult.modifiedCount
+        });
+      } catch (error) {
+        console.error('Error updating user to fraud:', error);
+        res.status(500).json({ error: 'Failed to update user role' });
+      }
+    });
+
+    app.patch('/users/unfraud/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+
+        const filter = { _id: new ObjectId(id) };
+        const user = await usersCollection.findOne(filter);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.role !== 'fraud') {
+          return res.status(400).json({ error: 'User is not marked as fraud' });
+        }
 
-            <div class="api-section">
-              <div class="api-header">💰 Offer Management</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/offers</div>
-                  <div class="endpoint-desc">Get all offers (Admin only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/offers/user/:email</div>
-                  <div class="endpoint-desc">Get offers by user email</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/offers/agent/:email</div>
-                  <div class="endpoint-desc">Get offers for agent's properties</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/offers</div>
-                  <div class="endpoint-desc">Make offer on property</div>
-                  <div class="params"><strong>Body:</strong> { propertyId, buyerEmail, agentEmail, offeredAmount }</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/offers/accept/:id</div>
-                  <div class="endpoint-desc">Accept offer (Agent only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/offers/reject/:id</div>
-                  <div class="endpoint-desc">Reject offer (Agent only)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method patch">PATCH</span>
-                  <div class="endpoint-url">/offers/bought/:id</div>
-                  <div class="endpoint-desc">Mark offer as bought</div>
-                  <div class="params"><strong>Body:</strong> { transactionId }</div>
-                </div>
-              </div>
-            </div>
+        const fraud = user.fraud || {};
+        const clearedAt = new Date();
+        const result = await usersCollection.updateOne(filter, {
+          $set: { role: fraud.previousRole || 'user' },
+          $unset: { fraud: '' },
+          $push: { fraudHistory: { ...fraud, clearedBy: req.user.email, clearedAt, clearReason: req.body.reason || '' } }
+        });
+
+        const propertiesResult = await propertiesCollection.updateMany(
+          { agentEmail: user.email, agentFraud: true },
+          { $unset: { agentFraud: '' }, $set: { updatedAt: clearedAt } }
+        );
+
+        // Only offers still cancelled by the fraud flag are restored. An
+        // accepted offer also needs its property back: it is only restored
+        // if the property is still available, and then holds it again.
+        let restoredOffers = 0;
+        for (const { offerId, previousStatus } of fraud.cancelledOffers || []) {
+          const offerFilter = { _id: offerId, status: 'cancelled', cancelledReason: 'fraud' };
+          let claimedProperty = null;
+          if (previousStatus === 'accepted') {
+            const offer = await offersCollection.findOne(offerFilter, { projection: { propertyId: 1 } });
+            if (!offer || !isValidObjectId(offer.propertyId)) continue;
+
+            claimedProperty = await propertiesCollection.findOneAndUpdate(
+              { _id: new ObjectId(offer.propertyId), saleStatus: { $in: saleStatusFilter(['available']) }, ...NOT_DELETED },
+              { $set: { saleStatus: 'under-offer', acceptedOfferId: offerId, saleStatusUpdatedAt: clearedAt } },
+              { projection: { _id: 1 } }
+            );
+            if (!claimedProperty) continue;
+          }
+
+          const offerResult = await offersCollection.updateOne(
+            offerFilter,
+            { $set: { status: previousStatus }, $unset: { cancelledReason: '', cancelledAt: '' } }
+          );
+          restoredOffers += offerResult.modifiedCount;
+
+          if (claimedProperty && offerResult.modifiedCount === 0) {
+            await propertiesCollection.updateOne(
+              { _id: claimedProperty._id, acceptedOfferId: offerId },
+              { $set: { saleStatus: 'available', saleStatusUpdatedAt: clearedAt }, $unset: { acceptedOfferId: '' } }
+            );
+          }
+        }
+
+        res.send({
+          success: true,
+          modifiedCount: result.modifiedCount,
+          restoredProperties: propertiesResult.modifiedCount,
+          restoredOffers
+        });
+      } catch (error) {
+        console.error('Error clearing fraud flag:', error);
+        res.status(500).json({ error: 'Failed to clear fraud flag' });
+      }
+    });
+
+    // Self-service profile editing. Only these fields can be changed here;
+    // role and email are managed elsewhere.
+    const PROFILE_FIELDS = {
+      name: { type: 'string', maxLength: 100, required: true },
+      photoURL: { type: 'string', maxLength: 2048, url: true },
+      phone: { type: 'string', maxLength: 30 },
+      bio: { type: 'string', maxLength: 1000 }
+    };
+    // licenseNumber is not here: it is the value an admin vetted when
+    // approving the agent application, so it can't be swapped afterwards
+    const AGENT_PROFILE_FIELDS = {
+      agency: { type: 'string', maxLength: 150 },
+      languages: { type: 'array', maxItems: 20 },
+      serviceAreas: { type: 'array', maxItems: 50 }
+    };
+
+    const validateProfileField = (field, rule, value) => {
+      if (rule.type === 'array') {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+          return `${field} must be a list of text values`;
+        }
+        if (value.length > rule.maxItems) {
+          return `${field} can have at most ${rule.maxItems} entries`;
+        }
+        return null;
+      }
+      if (typeof value !== 'string') {
+        return `${field} must be text`;
+      }
+      if (rule.required && !value.trim()) {
+        return `${field} cannot be empty`;
+      }
+      if (value.length > rule.maxLength) {
+        return `${field} must be at most ${rule.maxLength} characters`;
+      }
+      // Shown on public agent profiles, so only http(s) links are accepted (empty clears it)
+      if (rule.url && value.trim()) {
+        let url;
+        try {
+          url = new URL(value.trim());
+        } catch (error) {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          return `${field} must be an http(s) URL`;
+        }
+      }
+      return null;
+    };
+
+    app.patch('/users/me', verifyUser, async (req, res) => {
+      try {
+        const isAgent = req.user.role === 'agent' || req.user.role === 'admin';
+        const allowedFields = isAgent ? { ...PROFILE_FIELDS, ...AGENT_PROFILE_FIELDS } : PROFILE_FIELDS;
+
+        const rejectedFields = Object.keys(req.body).filter(field => !allowedFields[field]);
+        if (rejectedFields.length > 0) {
+          return res.status(400).json({ error: 'These fields cannot be edited', fields: rejectedFields });
+        }
+
+        const updates = {};
+        const errors = [];
+        for (const [field, value] of Object.entries(req.body)) {
+          const rule = allowedFields[field];
+          const error = validateProfileField(field, rule, value);
+          if (error) {
+            errors.push(error);
+            continue;
+          }
+
+          const cleanValue = Array.isArray(value) ? value.map(item => item.trim()) : value.trim();
+          updates[AGENT_PROFILE_FIELDS[field] ? `agentProfile.${field}` : field] = cleanValue;
+        }
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Invalid profile data', details: errors });
+        }
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).json({ error: 'No profile fields provided' });
+        }
+
+        updates.updatedAt = new Date();
+        const user = await usersCollection.findOneAndUpdate(
+          { _id: req.user._id },
+          { $set: updates },
+          { returnDocument: 'after', projection: USER_PRIVATE_FIELDS }
+        );
+
+        // Properties carry a copy of the agent's name and photo
+        const listingUpdates = {};
+        if (updates.name !== undefined) listingUpdates.agentName = updates.name;
+        if (updates.photoURL !== undefined) listingUpdates.agentImage = updates.photoURL;
+        let updatedProperties = 0;
+        if (isAgent && Object.keys(listingUpdates).length > 0) {
+          const result = await propertiesCollection.updateMany({ agentEmail: req.user.email }, { $set: listingUpdates });
+          updatedProperties = result.modifiedCount;
+        }
+
+        res.send({ success: true, user, updatedProperties });
+      } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+      }
+    });
+
+    app.post('/users/me/avatar', verifyUser, handleImageUpload(imageUpload.single('avatar')), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ error: 'No image uploaded (use the "avatar" field)' });
+        }
+
+        const stored = await imageStorage.save(req.file.buffer, { folder: `avatars/${req.user._id}`, mimetype: req.file.mimetype });
+        await usersCollection.updateOne(
+          { _id: req.user._id },
+          { $set: { photoURL: stored.url, avatarStorageId: stored.storageId, updatedAt: new Date() } }
+        );
+
+        let updatedProperties = 0;
+        if (req.user.role === 'agent' || req.user.role === 'admin') {
+          const result = await propertiesCollection.updateMany({ agentEmail: req.user.email }, { $set: { agentImage: stored.url } });
+          updatedProperties = result.modifiedCount;
+        }
+
+        if (req.user.avatarStorageId) {
+          imageStorage.remove(req.user.avatarStorageId).catch(error => console.error('Error removing old avatar:', error));
+        }
+
+        res.json({ success: true, photoURL: stored.url, updatedProperties });
+      } catch (error) {
+        console.error('Error uploading avatar:', error);
+        res.status(500).json({ error: 'Failed to upload avatar' });
+      }
+    });
+
+    // Public agent profile
+    app.get('/agents/:email', async (req, res) => {
+      try {
+        const agent = await usersCollection.findOne(
+          { email: req.params.email, role: { $in: ['agent', 'admin'] } },
+          { projection: { name: 1, email: 1, photoURL: 1, phone: 1, bio: 1, role: 1, agentProfile: 1, createdAt: 1 } }
+        );
+        if (!agent) {
+          return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        const { applicationId, ...agentProfile } = agent.agentProfile || {};
+        const listingCount = await propertiesCollection.countDocuments({
+          agentEmail: agent.email,
+          status: 'verified',
+          agentFraud: { $ne: true },
+          ...NOT_DELETED
+        });
+
+        res.send({ ...agent, agentProfile, listingCount });
+      } catch (error) {
+        console.error('Error fetching agent profile:', error);
+        res.status(500).json({ error: 'Failed to fetch agent profile' });
+      }
+    });
+
+    // Removes listings for good together with what only exists for them:
+    // wishlist rows, revisions, saved-search matches, analytics events and
+    // stored images. Offers, reviews and campaigns are kept for history.
+    const hardDeleteProperties = async (filter) => {
+      const properties = await propertiesCollection.find(filter, { projection: { _id: 1, images: 1 } }).toArray();
+      if (properties.length === 0) {
+        return { properties: 0, wishlist: 0, revisions: 0 };
+      }
+
+      const ids = properties.map(property => property._id);
+      const stringIds = ids.map(propertyId => propertyId.toString());
+      const [deleted, wishlist, revisions] = await Promise.all([
+        propertiesCollection.deleteMany({ ...filter, _id: { $in: ids } }),
+        wishlistCollection.deleteMany({ propertyId: { $in: stringIds } }),
+        propertyRevisionsCollection.deleteMany({ propertyId: { $in: ids } }),
+        searchAlertsCollection.deleteMany({ propertyId: { $in: ids } }),
+        propertyEventsCollection.deleteMany({ propertyId: { $in: ids } })
+      ]);
+
+      // Failing to remove a file must not stop the deletion
+      const storageIds = properties.flatMap(property => (property.images || []).map(image => image.storageId).filter(Boolean));
+      await Promise.all(storageIds.map(storageId =>
+        imageStorage.remove(storageId).catch(error => console.error('Error removing property image:', error))
+      ));
+
+      return { properties: deleted.deletedCount, wishlist: wishlist.deletedCount, revisions: revisions.deletedCount };
+    };
+
+    // Account deletion policy, per collection:
+    //   users, sessions, agentApplications, wishlist  -> deleted
+    //   savedSearches and their alerts                 -> deleted
+    //   avatar file                                    -> deleted from storage
+    //   offers (as buyer or agent)                     -> open offers cancelled, all anonymized
+    //   reviews, reports written by the user           -> kept for history, anonymized
+    //   properties listed by the user (agents)         -> hard-deleted right away via hardDeleteProperties,
+    //                                                     soft-deleted ones included: an erased account
+    //                                                     doesn't get the restore window of DELETE /properties/:id
+    //   other properties (soldTo, verifiedBy, moderationHistory[].by),
+    //   propertyRevisions.editedBy, adCampaigns agentEmail/createdBy/cancelledBy,
+    //   propertyEvents actor                           -> anonymized
+    const DELETED_USER_NAME = 'Deleted user';
+
+    const deleteUserCascade = async (user) => {
+      const email = user.email;
+      const now = new Date();
+
+      const properties = await propertiesCollection.find({ agentEmail: email }, { projection: { _id: 1 } }).toArray();
+      const propertyIds = properties.map(property => property._id.toString());
+
+      // Properties held for this user as a buyer go back on the market
+      const acceptedOffers = await offersCollection.find({ buyerEmail: email, status: 'accepted' }).toArray();
+      if (acceptedOffers.length > 0) {
+        await propertiesCollection.updateMany(
+          { saleStatus: 'under-offer', acceptedOfferId: { $in: acceptedOffers.map(offer => offer._id) } },
+          { $set: { saleStatus: 'available', saleStatusUpdatedAt: now }, $unset: { acceptedOfferId: '' } }
+        );
+      }
+
+      const offersCancelled = await offersCollection.updateMany(
+        {
+          $or: [{ buyerEmail: email }, { agentEmail: email }, { propertyId: { $in: propertyIds } }],
+          status: { $in: OPEN_OFFER_STATUSES }
+        },
+        { $set: { status: 'cancelled', cancelledReason: 'account-deleted', cancelledAt: now } }
+      );
+      const buyerOffers = await offersCollection.updateMany(
+        { buyerEmail: email },
+        { $set: { buyerEmail: null, buyerName: DELETED_USER_NAME, buyerDeleted: true }, $unset: { buyerImage: '' } }
+      );
+      const agentOffers = await offersCollection.updateMany(
+        { agentEmail: email },
+        { $set: { agentEmail: null, agentName: DELETED_USER_NAME, agentDeleted: true } }
+      );
+
+      const reviews = await reviewsCollection.updateMany(
+        { $or: [{ reviewerEmail: email }, { userEmail: email }] },
+        {
+          $set: { reviewerEmail: null, userEmail: null, reviewerName: DELETED_USER_NAME, reviewerDeleted: true },
+          $unset: { reviewerImage: '' }
+        }
+      );
+      const reports = await reportsCollection.updateMany(
+        { reporterEmail: email },
+        { $set: { reporterEmail: null, reporterName: DELETED_USER_NAME, reporterDeleted: true } }
+      );
+
+      const wishlist = await wishlistCollection.deleteMany({ userEmail: email });
+      const deletedProperties = await hardDeleteProperties({ agentEmail: email });
+
+      // Traces of the user on records that stay
+      await propertiesCollection.updateMany({ soldTo: email }, { $set: { soldTo: null } });
+      await propertiesCollection.updateMany({ verifiedBy: email }, { $set: { verifiedBy: null } });
+      await propertiesCollection.updateMany(
+        { 'moderationHistory.by': email },
+        { $set: { 'moderationHistory.$[entry].by': null } },
+        { arrayFilters: [{ 'entry.by': email }] }
+      );
+      const revisions = await propertyRevisionsCollection.updateMany(
+        { editedBy: email },
+        { $set: { editedBy: null, editedByDeleted: true } }
+      );
+      await Promise.all(['agentEmail', 'createdBy', 'cancelledBy'].map(field =>
+        adCampaignsCollection.updateMany({ [field]: email }, { $set: { [field]: null } })
+      ));
+      if (user.avatarStorageId) {
+        await imageStorage.remove(user.avatarStorageId).catch(error => console.error('Error removing avatar:', error));
+      }
+      const applications = await agentApplicationsCollection.deleteMany({ email });
+      const sessions = await sessionsCollection.deleteMany({ email });
+      const savedSearches = await savedSearchesCollection.deleteMany({ userEmail: email });
+      await searchAlertsCollection.deleteMany({ userEmail: email });
+      await propertyEventsCollection.updateMany({ actor: `user:${email}` }, { $set: { actor: null } });
+      const userResult = await usersCollection.deleteOne({ _id: user._id });
+
+      return {
+        deletedCount: userResult.deletedCount,
+        deleted: {
+          properties: deletedProperties.properties,
+          wishlist: wishlist.deletedCount + deletedProperties.wishlist,
+          agentApplications: applications.deletedCount,
+          sessions: sessions.deletedCount,
+          savedSearches: savedSearches.deletedCount
+        },
+        anonymized: {
+          offers: buyerOffers.modifiedCount + agentOffers.modifiedCount,
+          reviews: reviews.modifiedCount,
+          reports: reports.modifiedCount,
+          propertyRevisions: revisions.modifiedCount
+        },
+        cancelledOffers: offersCancelled.modifiedCount
+      };
+    };
+
+    const buildUserExport = async (user) => {
+      const email = user.email;
+      const [
+        wishlist, offers, reviews, reports, properties, agentApplications, savedSearches,
+        propertyRevisions, adCampaigns, propertyEvents
+      ] = await Promise.all([
+        wishlistCollection.find({ userEmail: email }).toArray(),
+        offersCollection.find({ $or: [{ buyerEmail: email }, { agentEmail: email }] }).toArray(),
+        reviewsCollection.find({ $or: [{ reviewerEmail: email }, { userEmail: email }] }).toArray(),
+        reportsCollection.find({ reporterEmail: email }).toArray(),
+        propertiesCollection.find({ agentEmail: email }).toArray(),
+        agentApplicationsCollection.find({ email }).toArray(),
+        savedSearchesCollection.find({ userEmail: email }).toArray(),
+        propertyRevisionsCollection.find({ editedBy: email }).toArray(),
+        adCampaignsCollection.find({ $or: [{ agentEmail: email }, { createdBy: email }, { cancelledBy: email }] }).toArray(),
+        propertyEventsCollection.find({ actor: `user:${email}` }).toArray()
+      ]);
+
+      return {
+        exportedAt: new Date().toISOString(),
+        user: sanitizeUser(user),
+        wishlist,
+        offers,
+        reviews,
+        reports,
+        properties,
+        agentApplications,
+        savedSearches,
+        propertyRevisions,
+        adCampaigns,
+        propertyEvents
+      };
+    };
+
+    const sendUserExport = async (res, user) => {
+      const archive = await buildUserExport(user);
+      const filename = `user-data-${user._id}.json`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.json(archive);
+    };
+
+    app.get('/users/me/export', verifyUser, async (req, res) => {
+      try {
+        await sendUserExport(res, req.user);
+      } catch (error) {
+        console.error('Error exporting user data:', error);
+        res.status(500).json({ error: 'Failed to export user data' });
+      }
+    });
+
+    app.get('/users/:id/export', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+
+        const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        await sendUserExport(res, user);
+      } catch (error) {
+        console.error('Error exporting user data:', error);
+        res.status(500).json({ error: 'Failed to export user data' });
+      }
+    });
+
+    app.delete('/users/me', verifyUser, async (req, res) => {
+      try {
+        if (req.user.role === 'admin') {
+          return res.status(400).json({ error: 'Admins cannot delete their own account' });
+        }
+
+        const result = await deleteUserCascade(req.user);
+        res.send({ success: true, ...result });
+      } catch (error) {
+        console.error('Error deleting account:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+      }
+    });
+
+    app.delete('/users/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid user ID format' });
+        }
+        
+        const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        if (user._id.equals(req.user._id)) {
+          return res.status(400).json({ error: 'Admins cannot delete their own account' });
+        }
+
+        const result = await deleteUserCascade(user);
+        res.send({ success: true, ...result });
+      } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+      }
+    });
+
+    // Agent Application APIs
+    app.post('/agent-applications', verifyUser, async (req, res) => {
+      try {
+        const { licenseNumber, agency, phone, idDocument } = req.body;
+
+        if (req.user.role === 'agent' || req.user.role === 'admin') {
+          return res.status(400).json({ error: `You are already an ${req.user.role}` });
+        }
+
+        const missing = Object.entries({ licenseNumber, agency, phone, idDocument })
+          .filter(([, value]) => typeof value !== 'string' || !value.trim())
+          .map(([field]) => field);
+        if (missing.length > 0) {
+          return res.status(400).json({ error: 'Missing required fields', fields: missing });
+        }
+
+        const pendingApplication = await agentApplicationsCollection.findOne({ email: req.user.email, status: 'pending' });
+        if (pendingApplication) {
+          return res.status(409).json({ error: 'You already have a pending application' });
+        }
+
+        const application = {
+          userId: req.user._id,
+          email: req.user.email,
+          name: req.user.name,
+          licenseNumber: licenseNumber.trim(),
+          agency: agency.trim(),
+          phone: phone.trim(),
+          idDocument: idDocument.trim(),
+          status: 'pending',
+          submittedAt: new Date()
+        };
+        const result = await agentApplicationsCollection.insertOne(application);
+
+        res.status(201).json({ success: true, applicationId: result.insertedId, status: application.status });
+      } catch (error) {
+        console.error('Error submitting agent application:', error);
+        res.status(500).json({ error: 'Failed to submit agent application' });
+      }
+    });
+
+    app.get('/agent-applications/me', verifyUser, async (req, res) => {
+      try {
+        const result = await agentApplicationsCollection
+          .find({ email: req.user.email })
+          .sort({ submittedAt: -1 })
+          .toArray();
+        res.send(result);
+      } catch (error) {
+        console.error('Error fetching agent applications:', error);
+        res.status(500).json({ error: 'Failed to fetch agent applications' });
+      }
+    });
+
+    // Review queue: oldest pending applications first. `email` shows one applicant's history.
+    app.get('/agent-applications', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const { status = 'pending', email } = req.query;
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (email) query.email = email;
+
+        const result = await agentApplicationsCollection
+          .find(query)
+          .sort({ submittedAt: email ? -1 : 1 })
+          .toArray();
+        res.send(result);
+      } catch (error) {
+        console.error('Error fetching agent applications:', error);
+        res.status(500).json({ error: 'Failed to fetch agent applications' });
+      }
+    });
+
+    app.patch('/agent-applications/approve/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid application ID format' });
+        }
+
+        const application = await agentApplicationsCollection.findOneAndUpdate(
+          { _id: new ObjectId(id), status: 'pending' },
+          {
+            $set: {
+              status: 'approved',
+              reviewedBy: req.user.email,
+              reviewedAt: new Date(),
+              notes: req.body.notes || ''
+            }
+          },
+          { returnDocument: 'after' }
+        );
+        if (!application) {
+          return res.status(404).json({ error: 'Pending application not found' });
+        }
+
+        // Only plain users are promoted; a fraud flag set meanwhile must stick
+        const filter = { _id: application.userId, role: 'user' };
+        const result = await usersCollection.updateOne(filter, {
+          $set: {
+            role: 'agent',
+            agentProfile: {
+              licenseNumber: application.licenseNumber,
+              agency: application.agency,
+              phone: application.phone,
+              applicationId: application._id,
+              approvedAt: application.reviewedAt
+            }
+          }
+        });
+        if (result.modifiedCount === 0) {
+          // Nobody was promoted, so the application goes back in the queue
+          await agentApplicationsCollection.updateOne(
+            { _id: application._id, status: 'approved' },
+            { $set: { status: 'pending' }, $unset: { reviewedBy: '', reviewedAt: '', notes: '' } }
+          );
+          return res.status(409).json({ error: 'Only users with the user role can be approved as agents (the account may be flagged as fraud or already promoted)' });
+        }
+        await revokeSessionsAfterRoleChange({ _id: application.userId }, result);
 
-            <div class="api-section">
-              <div class="api-header">⭐ Review Management</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/reviews</div>
-                  <div class="endpoint-desc">Get latest reviews (limit 3)</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/reviews/property/:id</div>
-                  <div class="endpoint-desc">Get reviews for specific property</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method get">GET</span>
-                  <div class="endpoint-url">/reviews/user/:email</div>
-                  <div class="endpoint-desc">Get reviews by user</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/reviews</div>
-                  <div class="endpoint-desc">Add new review</div>
-                  <div class="params"><strong>Body:</strong> { propertyId, reviewerEmail, rating, comment }</div>
-                </div>
-                <div class="endpoint">
-                  <span class="method delete">DELETE</span>
-                  <div class="endpoint-url">/reviews/:id</div>
-                  <div class="endpoint-desc">Delete review</div>
-                </div>
-              </div>
-            </div>
+        res.send({ success: true, message: 'Application approved', roleUpdated: true });
+      } catch (error) {
+        console.error('Error approving agent application:', error);
+        res.status(500).json({ error: 'Failed to approve agent application' });
+      }
+    });
 
-            <div class="api-section">
-              <div class="api-header">💳 Payment Integration</div>
-              <div class="api-content">
-                <div class="endpoint">
-                  <span class="method post">POST</span>
-                  <div class="endpoint-url">/create-payment-intent</div>
-                  <div class="endpoint-desc">Create payment intent for property purchase</div>
-                  <div class="params"><strong>Body:</strong> { amount } - Amount in cents</div>
-                </div>
-              </div>
-            </div>
+    app.patch('/agent-applications/reject/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { reason, notes } = req.body;
 
-            <div class="footer">
-              <p>🏠 <strong>Real Estate Platform API</strong> - Built with Express.js, MongoDB & Firebase Auth</p>
-              <p>📧 Contact: <strong>shakil880@gmail.com</strong> | 🌐 Frontend: <a href="https://b11a12elite.netlify.app" target="_blank">b11a12elite.netlify.app</a></p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-      res.send(html);
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid application ID format' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+          return res.status(400).json({ error: 'A rejection reason is required' });
+        }
+
+        const result = await agentApplicationsCollection.updateOne(
+          { _id: new ObjectId(id), status: 'pending' },
+          {
+            $set: {
+              status: 'rejected',
+              reviewedBy: req.user.email,
+              reviewedAt: new Date(),
+              rejectionReason: reason.trim(),
+              notes: notes || ''
+            }
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ error: 'Pending application not found' });
+        }
+
+        res.send({ success: true, message: 'Application rejected' });
+      } catch (error) {
+        console.error('Error rejecting agent application:', error);
+        res.status(500).json({ error: 'Failed to reject agent application' });
+      }
     });
 
-    // Fix property status fields (one-time migration endpoint)
-    app.get('/fix-properties', async (req, res) => {
+    // Property Management APIs
+    app.get('/properties', optionalUser, async (req, res) => {
       try {
-        // Update properties that have verificationStatus but no status field
-        const result = await propertiesCollection.updateMany(
-          { verificationStatus: { $exists: true }, status: { $exists: false } },
-          [
-            {
-              $set: {
-                status: "$verificationStatus"
+        const { search, sort, minPrice, maxPrice, admin } = req.query;
+        const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+        // Admin mode needs an admin token; admin=true on its own changes nothing
+        const adminView = admin === 'true' && Boolean(req.user) && req.user.role === 'admin';
+        
+        // Build status filter based on permissions and request
+        let query = {};
+        if (adminView) {
+          // Admin can see all properties or filter by specific status
+          if (status && status !== 'all') {
+            query.status = status;
+          }
+          // If status is 'all' or not provided, don't add status filter
+        } else {
+          // Regular users: handle different status requests
+          if (status === 'pending') {
+            query.status = 'pending';
+          } else if (status === 'verified') {
+            query.status = 'verified';
+          } else if (status === 'all') {
+            // Don't add status filter - show all properties
+          } else if (!status) {
+            // No status parameter means show all properties (for "All Properties" filter)
+            // Don't add status filter
+          } else {
+            // Any other specific status requested
+            query.status = status;
+          }
+        }
+        
+        // Listings of agents marked as fraud are only visible to admins
+        if (!adminView) {
+          query.agentFraud = { $ne: true };
+        }
+
+        // Admins can browse deleted listings (e.g. to restore one) with deleted=true
+        query.deletedAt = { $exists: adminView && req.query.deleted === 'true' };
+
+        // Sold and withdrawn listings are off the market unless asked for explicitly;
+        // withdrawn ones only ever show up for admins
+        const { saleStatus } = req.query;
+        if (saleStatus && saleStatus !== 'all') {
+          if (!SALE_STATUSES.includes(saleStatus) || (saleStatus === 'withdrawn' && !adminView)) {
+            return res.status(400).json({ error: `saleStatus must be one of: ${SALE_STATUSES.join(', ')}` });
+          }
+          query.saleStatus = { $in: saleStatusFilter([saleStatus]) };
+        } else if (!adminView) {
+          query.saleStatus = saleStatus === 'all' ? { $ne: 'withdrawn' } : { $nin: ['sold', 'withdrawn'] };
+        }
+        
+        // Full-text search over the weighted text index (see run() startup)
+        const searchText = typeof search === 'string' ? search.trim() : '';
+        if (searchText) {
+          query.$text = { $search: searchText };
+        }
+        
+        // A listing matches when its price range overlaps the requested one
+        const min = parseFloat(minPrice);
+        const max = parseFloat(maxPrice);
+        if (Number.isFinite(min)) query.priceMax = { $gte: min };
+        if (Number.isFinite(max)) query.priceMin = { $lte: max };
+
+        Object.assign(query, buildAttributeFilters(req.query));
+        
+        const { geo, error: geoError } = parseGeoQuery(req.query);
+        if (geoError) {
+          return res.status(400).json({ error: geoError });
+        }
+        if (geo && searchText) {
+          return res.status(400).json({ error: 'search cannot be combined with near or bbox' });
+        }
+        if (geo && geo.within) {
+          query.geoLocation = { $geoWithin: { $geometry: geo.within } };
+        }
+        
+        const { page, limit, skip } = parsePagination(req.query);
+
+        // _id breaks ties so pages don't overlap or skip documents
+        let sortOrder;
+        if (geo && (!sort || sort === 'distance')) {
+          sortOrder = { distanceMeters: 1, _id: 1 };
+        } else if (searchText && (!sort || sort === 'relevance')) {
+          sortOrder = { score: { $meta: 'textScore' }, _id: -1 };
+        } else if (sort === 'price-asc') {
+          sortOrder = { priceMin: 1, _id: 1 };
+        } else if (sort === 'price-desc') {
+          sortOrder = { priceMax: -1, _id: -1 };
+        } else if (sort === 'oldest') {
+          sortOrder = { createdAt: 1, _id: 1 };
+        } else {
+          sortOrder = { createdAt: -1, _id: -1 };
+        }
+        
+        // $geoNear has to be the first stage of any pipeline it is used in
+        const firstStage = geo
+          ? {
+              $geoNear: {
+                near: geo.point,
+                distanceField: 'distanceMeters',
+                spherical: true,
+                query,
+                ...(geo.maxDistance ? { maxDistance: geo.maxDistance } : {})
               }
-            },
+            }
+          : { $match: query };
+        const facetsPromise = req.query.facets === 'true'
+          ? propertiesCollection.aggregate([firstStage, { $facet: PROPERTY_FACETS }]).toArray()
+          : Promise.resolve([null]);
+
+        let properties;
+        let total;
+        if (geo) {
+          // Paging and counting happen in a $facet after $geoNear
+          const [result] = await propertiesCollection.aggregate([
+            firstStage,
             {
-              $unset: "verificationStatus"
+              $facet: {
+                properties: [{ $sort: sortOrder }, { $skip: skip }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+              }
             }
-          ]
-        );
+          ]).toArray();
+
+          properties = result.properties;
+          total = result.total[0] ? result.total[0].count : 0;
+          properties.forEach(property => {
+            property.distanceKm = Math.round(property.distanceMeters / 10) / 100;
+          });
+        } else {
+          const projection = searchText ? { score: { $meta: 'textScore' } } : {};
+          [properties, total] = await Promise.all([
+            propertiesCollection.find(query, { projection }).sort(sortOrder).skip(skip).limit(limit).toArray(),
+            propertiesCollection.countDocuments(query)
+          ]);
+        }
+        properties.forEach(property => {
+          property.saleStatus = saleStatusOf(property);
+        });
+        console.log(`Fetched ${properties.length} of ${total} properties, sorting by: ${sort || 'default (newest)'}`);
+        console.log(`Status filter applied: ${status || 'none'}, Query: ${JSON.stringify(query)}`);
+
+        if (searchText) {
+          const terms = parseSearchTerms(searchText);
+          properties.forEach(property => {
+            property.highlights = buildSearchHighlights(property, terms);
+          });
+
+          // Recording the search must never fail the request
+          if (page === 1) {
+            searchLogsCollection.insertOne({
+              term: searchText,
+              normalizedTerm: searchText.toLowerCase().replace(/\s+/g, ' '),
+              resultCount: total,
+              createdAt: new Date()
+            }).catch(error => console.error('Error recording search:', error));
+          }
+        }
+        
+        const [facets] = await facetsPromise;
+        
+        // Return data in expected format for frontend
+        res.json({
+          properties: properties,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+          ...(facets ? { facets } : {})
+        });
+      } catch (error) {
+        console.error('Error fetching properties:', error);
+        res.status(500).json({ message: 'Error fetching properties', error: error.message });
+      }
+    });
+
+    // Allowed attribute values, for building property forms and filters
+    app.get('/property-attributes', (req, res) => {
+      res.json({
+        propertyTypes: PROPERTY_TYPES,
+        areaUnits: Object.keys(AREA_UNITS_IN_SQFT),
+        amenities: PROPERTY_AMENITIES
+      });
+    });
+
+    // What buyers search for, most frequent first
+    app.get('/search-stats', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const terms = await searchLogsCollection.aggregate([
+          { $match: { createdAt: { $gte: since } } },
+          {
+            $group: {
+              _id: '$normalizedTerm',
+              searches: { $sum: 1 },
+              zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+              averageResults: { $avg: '$resultCount' },
+              lastSearchedAt: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { searches: -1, _id: 1 } },
+          { $limit: 50 },
+          { $project: { _id: 0, term: '$_id', searches: 1, zeroResultSearches: 1, averageResults: { $round: ['$averageResults', 1] }, lastSearchedAt: 1 } }
+        ]).toArray();
+
+        res.json({ days, terms });
+      } catch (error) {
+        console.error('Error fetching search stats:', error);
+        res.status(500).json({ error: 'Failed to fetch search stats' });
+      }
+    });
+
+    // Funnel events for listing analytics (see VIEW_DEDUP_WINDOW_MS).
+    // Recording them must never fail the request that triggers them.
+    const recordPropertyEvent = (property, type, actor) => {
+      propertyEventsCollection.insertOne({
+        propertyId: property._id,
+        agentEmail: property.agentEmail,
+        type,
+        actor,
+        occurredAt: new Date()
+      }).catch(error => console.error(`Error recording ${type} event:`, error));
+    };
+
+    const recordPropertyView = async (req, property) => {
+      const viewer = getViewerKey(req);
+      // Agents looking at their own listings aren't counted
+      if (viewer.email && viewer.email === property.agentEmail) return;
+
+      const now = new Date();
+      const bucket = Math.floor(now.getTime() / VIEW_DEDUP_WINDOW_MS);
+      const expiresAt = new Date((bucket + 1) * VIEW_DEDUP_WINDOW_MS);
+
+      // Only views that are actually recorded count towards the IP limit, so
+      // repeat views of the same listing don't use it up
+      const ipLimitId = `${hashToken(req.ip || '')}:${bucket}`;
+      const ipLimit = await viewRateLimitsCollection.findOne({ _id: ipLimitId });
+      if (ipLimit && ipLimit.views >= MAX_VIEWS_PER_IP) return;
+
+      // The unique dedupKey makes concurrent repeat views insert only once
+      let inserted;
+      try {
+        inserted = await propertyEventsCollection.insertOne({
+          propertyId: property._id,
+          agentEmail: property.agentEmail,
+          type: 'view',
+          actor: viewer.key,
+          occurredAt: now,
+          dedupKey: hashToken(`${property._id}|${viewer.key}|${bucket}`)
+        });
+      } catch (error) {
+        if (error.code === 11000) return;
+        throw error;
+      }
+
+      const ipCount = await viewRateLimitsCollection.findOneAndUpdate(
+        { _id: ipLimitId },
+        { $inc: { views: 1 }, $setOnInsert: { expiresAt } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      // Concurrent views from the same IP can pass the check together; drop
+      // the ones past the limit
+      if (ipCount.views > MAX_VIEWS_PER_IP) {
+        await propertyEventsCollection.deleteOne({ _id: inserted.insertedId });
+      }
+    };
+
+    // Admin export of every listing, including soft-deleted ones
+    app.get('/properties/export', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const { status = 'all', format } = req.query;
+        if (status !== 'all' && !MODERATION_QUEUE_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: all, ${MODERATION_QUEUE_STATUSES.join(', ')}` });
+        }
+        const query = status === 'all' ? {} : { status };
+        const properties = await propertiesCollection.find(query).sort({ createdAt: -1, _id: -1 }).toArray();
+        sendPropertyExport(res, properties, format, 'properties');
+      } catch (error) {
+        console.error('Error exporting properties:', error);
+        res.status(500).json({ error: 'Failed to export properties' });
+      }
+    });
+
+    app.get('/properties/:id', optionalUser, async (req, res) => {
+      try {
+        const id = req.params.id;
+        
+        // Validate ObjectId
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+        
+        const query = { _id: new ObjectId(id), ...NOT_DELETED };
+        const result = await propertiesCollection.findOne(query);
+        
+        if (!result) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+        
+        result.saleStatus = saleStatusOf(result);
+        res.send(result);
+
+        recordPropertyView(req, result).catch(error => console.error('Error recording view:', error));
+      } catch (error) {
+        console.error('Error fetching property:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    app.get('/properties/agent/:email', verifyUser, requireAgent, requireSelfOrAdmin(), async (req, res) => {
+      const email = req.params.email;
+      const query = { agentEmail: email, ...NOT_DELETED };
+      const result = await propertiesCollection.find(query).toArray();
+      res.send(result);
+    });
+
+    app.get('/properties/sold/:email', verifyUser, requireAgent, requireSelfOrAdmin(), async (req, res) => {
+      const email = req.params.email;
+      const soldOffers = await offersCollection.find({ 
+        agentEmail: email, 
+        status: 'bought' 
+      }).toArray();
+      res.send(soldOffers);
+    });
+
+    app.get('/properties/agent/:email/export', verifyUser, requireAgent, requireSelfOrAdmin(), async (req, res) => {
+      try {
+        const email = req.params.email;
+        const properties = await propertiesCollection
+          .find({ agentEmail: email, ...NOT_DELETED })
+          .sort({ createdAt: -1, _id: -1 })
+          .toArray();
+        sendPropertyExport(res, properties, req.query.format, 'listings');
+      } catch (error) {
+        console.error('Error exporting agent properties:', error);
+        res.status(500).json({ error: 'Failed to export properties' });
+      }
+    });
+
+    // Bulk listing import. The CSV comes as a "file" upload (or a csv string in
+    // a JSON body). Every row is validated first; rows are only inserted when
+    // all of them are valid, and always as pending. dryRun=true stops after
+    // validation.
+    app.post('/properties/import', verifyUser, requireAgent, handleCsvUpload, async (req, res) => {
+      try {
+        const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        if (typeof csv !== 'string' || !csv.trim()) {
+          return res.status(400).json({ error: 'Upload a CSV file in the "file" field' });
+        }
+
+        let rows;
+        try {
+          rows = parseCsv(csv);
+        } catch (error) {
+          return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+        }
+
+        const [header = [], ...dataRows] = rows;
+        const columns = header.map(column => column.trim());
+        const unknownColumns = columns.filter(column => !PROPERTY_CSV_COLUMNS.includes(column));
+        if (unknownColumns.length > 0 || new Set(columns).size !== columns.length) {
+          return res.status(400).json({
+            error: unknownColumns.length > 0 ? `Unknown columns: ${unknownColumns.join(', ')}` : 'Duplicate columns in header',
+            columns: PROPERTY_CSV_COLUMNS
+          });
+        }
+        if (!columns.includes('title') || !columns.includes('location')) {
+          return res.status(400).json({ error: 'The header must include title and location', columns: PROPERTY_CSV_COLUMNS });
+        }
+        if (dataRows.length === 0) {
+          return res.status(400).json({ error: 'The CSV has no data rows' });
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+          return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+        }
+
+        const now = new Date();
+        const errors = [];
+        const properties = [];
+        dataRows.forEach((cells, index) => {
+          // Row numbers match the file's lines, the header being line 1
+          const row = index + 2;
+          if (cells.length !== columns.length) {
+            errors.push({ row, error: `Expected ${columns.length} columns, found ${cells.length}` });
+            return;
+          }
+
+          const record = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+          const { property, error } = normalizeNewPropertyInput(csvRecordToPropertyInput(record));
+          if (error) {
+            errors.push({ row, error });
+            return;
+          }
+
+          properties.push({
+            ...property,
+            agentEmail: req.user.email,
+            agentName: req.user.name,
+            agentImage: req.user.photoURL,
+            status: 'pending',
+            saleStatus: 'available',
+            advertised: false,
+            moderationHistory: [moderationEntry('submitted', req.user, null, 'pending', { notes: 'CSV import' })],
+            submittedAt: now,
+            createdAt: now,
+            updatedAt: now
+          });
+        });
+
+        const dryRun = req.query.dryRun === 'true' || String(req.body.dryRun) === 'true';
+        const summary = { dryRun, totalRows: dataRows.length, validRows: properties.length, errors };
+        if (dryRun) {
+          return res.send({ ...summary, valid: errors.length === 0 });
+        }
+        if (errors.length > 0) {
+          return res.status(400).json({ error: `${errors.length} row(s) have errors; nothing was imported`, ...summary });
+        }
+
+        const result = await propertiesCollection.insertMany(properties);
+        res.status(201).json({ success: true, ...summary, imported: result.insertedCount, propertyIds: Object.values(result.insertedIds) });
+      } catch (error) {
+        console.error('Error importing properties:', error);
+        res.status(500).json({ error: 'Failed to import properties' });
+      }
+    });
+
+    app.post('/properties', verifyUser, requireAgent, async (req, res) => {
+      try {
+        console.log('Adding property request received');
+        console.log('User from token:', req.decoded);
+        console.log('User details:', req.user);
+        console.log('Request body:', req.body);
         
-        res.json({ 
-          message: 'Property status fields fixed', 
-          modifiedCount: result.modifiedCount 
+        // Only known fields are stored
+        const { property, error: inputError } = normalizeNewPropertyInput(req.body);
+        if (inputError) {
+          return res.status(400).json({ error: true, message: inputError });
+        }
+
+        property.saleStatus = 'available';
+
+        // Agents can only list properties under their own account
+        if (req.user.role !== 'admin' || !property.agentEmail) {
+          property.agentEmail = req.user.email;
+          property.agentName = property.agentName || req.user.name;
+          property.agentImage = property.agentImage || req.user.photoURL;
+        }
+        
+        // Auto-verify properties posted by admins, others remain pending
+        if (req.user && req.user.role === 'admin') {
+          property.status = 'verified'; // Admin properties are auto-verified
+          property.verifiedBy = req.user.email;
+          property.verifiedAt = new Date();
+          property.moderationHistory = [
+            moderationEntry('verified', req.user, null, 'verified', { notes: 'Auto-verified (admin listing)' })
+          ];
+          console.log('Admin user detected - property auto-verified');
+        } else {
+          property.status = 'pending'; // Regular agent properties need admin approval
+          property.moderationHistory = [moderationEntry('submitted', req.user, null, 'pending')];
+          console.log('Agent user detected - property set to pending for admin review');
+        }
+        
+        property.submittedAt = new Date();
+        property.createdAt = new Date();
+        property.updatedAt = new Date();
+        property.advertised = false;
+        
+        console.log('Property to insert:', property);
+        
+        // Check database connection
+        if (!propertiesCollection) {
+          throw new Error('Properties collection not initialized');
+        }
+        
+        const result = await propertiesCollection.insertOne(property);
+        
+        console.log('Property inserted successfully:', result.insertedId);
+        
+        const responseMessage = req.user && req.user.role === 'admin' 
+          ? 'Property added and automatically verified (admin privilege)'
+          : 'Property added successfully and is pending admin approval';
+
+        res.status(201).json({
+          success: true,
+          message: responseMessage,
+          propertyId: result.insertedId,
+          status: property.status
         });
       } catch (error) {
-        console.error('Error fixing properties:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Detailed error adding property:', error);
+        console.error('Error name:', error.name);
+        console.error('Error message:', error.message);
+        console.error('Error stack:', error.stack);
+        res.status(500).json({
+          error: true,
+          message: 'Failed to add property',
+          details: error.message
+        });
       }
     });
 
-    // API Documentation Route (JSON format)
-    app.get('/api', (req, res) => {
-      const apiDocumentation = {
-        message: "🏠 Real Estate Platform API",
-        version: "1.0.0",
-        status: "Running Successfully",
-        database: "Connected to MongoDB",
-        baseUrl: "http://localhost:5000",
-        frontendUrl: "https://b11a12elite.netlify.app",
-        endpoints: {
-          "Authentication": {
-            "POST /jwt": {
-              description: "Generate JWT token for user authentication",
-              body: "{ user: Object } - User data from Firebase",
-              response: "{ token: String }"
-            }
-          },
-          "User Management": {
-            "GET /users": {
-              description: "Get all users (Admin only)",
-              auth: "Required - Admin",
-              response: "Array of user objects"
-            },
-            "POST /users": {
-              description: "Create or update user profile",
-              body: "{ uid, email, name, photoURL, role }",
-              response: "{ success: Boolean, user: Object }"
-            },
-            "GET /users/:email": {
-              description: "Get user details by email",
-              auth: "Required",
-              params: "email - User email address",
-              response: "User object"
-            },
-            "PATCH /users/admin/:id": {
-              description: "Make user admin (Admin only)",
-              auth: "Required - Admin",
-              params: "id - User ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /users/agent/:id": {
-              description: "Make user agent (Admin only)",
-              auth: "Required - Admin",
-              params: "id - User ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /users/fraud/:id": {
-              description: "Mark user as fraud (Admin only)",
-              auth: "Required - Admin",
-              params: "id - User ID",
-              response: "{ success: Boolean }"
-            },
-            "DELETE /users/:id": {
-              description: "Delete user (Admin only)",
-              auth: "Required - Admin",
-              params: "id - User ID",
-              response: "{ success: Boolean }"
-            }
-          },
-          "Property Management": {
-            "GET /properties": {
-              description: "Get all verified properties with filters",
-              query: "search, sort, minPrice, maxPrice, page, limit",
-              response: "Array of property objects"
-            },
-            "GET /properties/:id": {
-              description: "Get property details by ID",
-              params: "id - Property ID",
-              response: "Property object"
-            },
-            "GET /properties/agent/:email": {
-              description: "Get properties by agent email",
-              auth: "Required",
-              params: "email - Agent email",
-              response: "Array of property objects"
-            },
-            "GET /advertised-properties": {
-              description: "Get featured/advertised properties (limit 4)",
-              response: "Array of advertised property objects"
-            },
-            "POST /properties": {
-              description: "Add new property (Agent only)",
-              auth: "Required - Agent",
-              body: "{ title, location, image, priceRange, description, agentEmail }",
-              response: "{ success: Boolean, property: Object }"
-            },
-            "PUT /properties/:id": {
-              description: "Update property (Agent/Admin only)",
-              auth: "Required - Agent/Admin",
-              params: "id - Property ID",
-              body: "Property update object",
-              response: "{ success: Boolean, property: Object }"
-            },
-            "PATCH /properties/verify/:id": {
-              description: "Verify property (Admin only)",
-              auth: "Required - Admin",
-              params: "id - Property ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /properties/reject/:id": {
-              description: "Reject property (Admin only)",
-              auth: "Required - Admin",
-              params: "id - Property ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /properties/advertise/:id": {
-              description: "Mark property as advertised (Admin only)",
-              auth: "Required - Admin",
-              params: "id - Property ID",
-              response: "{ success: Boolean }"
-            },
-            "DELETE /properties/:id": {
-              description: "Delete property (Agent/Admin only)",
-              auth: "Required - Agent/Admin",
-              params: "id - Property ID",
-              response: "{ success: Boolean }"
-            }
-          },
-          "Wishlist Management": {
-            "GET /wishlist/:email": {
-              description: "Get user's wishlist properties",
-              params: "email - User email",
-              response: "Array of wishlist property objects"
-            },
-            "POST /wishlist": {
-              description: "Add property to wishlist",
-              body: "{ userEmail, propertyId }",
-              response: "{ success: Boolean, wishlist: Object }"
-            },
-            "DELETE /wishlist/:id": {
-              description: "Remove property from wishlist",
-              params: "id - Wishlist item ID",
-              response: "{ success: Boolean }"
-            }
-          },
-          "Offer Management": {
-            "GET /offers": {
-              description: "Get all offers (Admin only)",
-              auth: "Required - Admin",
-              response: "Array of offer objects"
-            },
-            "GET /offers/user/:email": {
-              description: "Get offers by user email",
-              params: "email - User email",
-              response: "Array of user's offer objects"
-            },
-            "GET /offers/agent/:email": {
-              description: "Get offers for agent's properties",
-              params: "email - Agent email",
-              response: "Array of offer objects for agent"
-            },
-            "POST /offers": {
-              description: "Make offer on property",
-              body: "{ propertyId, buyerEmail, agentEmail, offeredAmount }",
-              response: "{ success: Boolean, offer: Object }"
-            },
-            "PATCH /offers/accept/:id": {
-              description: "Accept offer (Agent only)",
-              auth: "Required - Agent",
-              params: "id - Offer ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /offers/reject/:id": {
-              description: "Reject offer (Agent only)",
-              auth: "Required - Agent",
-              params: "id - Offer ID",
-              response: "{ success: Boolean }"
-            },
-            "PATCH /offers/bought/:id": {
-              description: "Mark offer as bought",
-              params: "id - Offer ID",
-              body: "{ transactionId }",
-              response: "{ success: Boolean }"
-            }
-          },
-          "Review Management": {
-            "GET /reviews": {
-              description: "Get latest reviews (limit 3)",
-              response: "Array of review objects"
-            },
-            "GET /reviews/property/:id": {
-              description: "Get reviews for specific property",
-              params: "id - Property ID",
-              response: "Array of review objects"
-            },
-            "GET /reviews/user/:email": {
-              description: "Get reviews by user",
-              params: "email - User email",
-              response: "Array of user's review objects"
-            },
-            "POST /reviews": {
-              description: "Add new review",
-              body: "{ propertyId, reviewerEmail, rating, comment }",
-              response: "{ success: Boolean, review: Object }"
-            },
-            "DELETE /reviews/:id": {
-              description: "Delete review",
-              params: "id - Review ID",
-              response: "{ success: Boolean }"
-            }
-          },
-          "Payment Integration": {
-            "POST /create-payment-intent": {
-              description: "Create payment intent for property purchase",
-              body: "{ amount } - Amount in cents",
-              response: "{ clientSecret: String }"
-            }
-          }
-        },
-        "Environment": process.env.NODE_ENV || "development",
-        "Port": process.env.PORT || 5000,
-        "Timestamp": new Date().toISOString(),
-        "Note": "For detailed interactive documentation, visit http://localhost:5000"
-      };
-      
-      res.json(apiDocumentation);
-    });
+    // Changing any of these on a verified listing sends it back for review
+    const MATERIAL_PROPERTY_FIELDS = [
+      'title', 'location', 'description', 'priceMin', 'priceMax', 'priceRange', 'geoLocation',
+      'propertyType', 'bedrooms', 'bathrooms', 'area', 'areaSqft'
+    ];
 
-    // Health Check Route
-    app.get('/health', (req, res) => {
-      res.json({
-        status: 'OK',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString(),
-        database: 'Connected'
+    // Field-level diff between a stored property and a { $set, $unset } update
+    const diffPropertyUpdate = (existing, set, unset) => {
+      const changes = [];
+      Object.entries(set).forEach(([field, value]) => {
+        if (JSON.stringify(existing[field]) !== JSON.stringify(value)) {
+          changes.push({ field, from: existing[field] === undefined ? null : existing[field], to: value });
+        }
+      });
+      Object.keys(unset).forEach(field => {
+        if (existing[field] !== undefined) {
+          changes.push({ field, from: existing[field], to: null });
+        }
       });
-    });
+      return changes;
+    };
 
-    // Seed Sample Data (for testing)
-    app.post('/seed-data', async (req, res) => {
+    app.put('/properties/:id', verifyUser, requireAgent, async (req, res) => {
       try {
-        // Check if data already exists
-        const existingProperties = await propertiesCollection.countDocuments();
-        if (existingProperties > 0) {
-          return res.json({ message: 'Data already exists', count: existingProperties });
+        const id = req.params.id;
+        
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+        
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
+        const existingProperty = await propertiesCollection.findOne(filter);
+        if (!existingProperty) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, existingProperty.agentEmail)) {
+          return sendNotOwner(res, 'Access denied. You can only edit your own properties.');
         }
 
-        // Sample properties
-        const sampleProperties = [
-          {
-            title: "Modern Family Home",
-            location: "Downtown, New York",
-            image: "https://images.unsplash.com/photo-1564013799919-ab600027ffc6?w=800",
-            priceRange: "$300,000 - $400,000",
-            description: "Beautiful modern family home with 3 bedrooms and 2 bathrooms. Perfect for a growing family.",
-            agentName: "John Smith",
-            agentEmail: "john@example.com",
-            agentImage: "https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150",
-            status: "verified",
-            advertised: true,
-            createdAt: new Date(),
-            updatedAt: new Date()
-          },
-          {
-            title: "Luxury Apartment",
-            location: "Manhattan, New York",
-            image: "https://images.unsplash.com/photo-1545324418-cc1a3fa10c00?w=800",
-            priceRange: "$500,000 - $700,000",
-            description: "Luxurious apartment in the heart of Manhattan with stunning city views.",
-            agentName: "Sarah Johnson",
-            agentEmail: "sarah@example.com",
-            agentImage: "https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150",
-            status: "verified",
-            advertised: false,
-            createdAt: new Date(),
-            updatedAt: new Date()
-          },
-          {
-            title: "Cozy Suburban House",
-            location: "Queens, New York",
-            image: "https://images.unsplash.com/photo-1568605114967-8130f3a36994?w=800",
-            priceRange: "$250,000 - $350,000",
-            description: "Charming suburban house with a beautiful garden and quiet neighborhood.",
-            agentName: "Mike Davis",
-            agentEmail: "mike@example.com",
-            agentImage: "https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150",
-            status: "verified",
-            advertised: true,
-            createdAt: new Date(),
-            updatedAt: new Date()
-          },
-          {
-            title: "Pending Property",
-            location: "Brooklyn, New York",
-            image: "https://images.unsplash.com/photo-1582407947304-fd86f028f716?w=800",
-            priceRange: "$200,000 - $300,000",
-            description: "This property is still pending verification.",
-            agentName: "Lisa Brown",
-            agentEmail: "lisa@example.com",
-            agentImage: "https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=150",
-            status: "pending",
-            advertised: false,
-            createdAt: new Date(),
-            updatedAt: new Date()
+        // Only fields present in the body are changed
+        const updatedProperty = req.body;
+        const set = {};
+        const unset = {};
+
+        for (const field of ['title', 'location']) {
+          if (updatedProperty[field] === undefined) continue;
+          if (typeof updatedProperty[field] !== 'string' || !updatedProperty[field].trim()) {
+            return res.status(400).json({ error: `${field} cannot be empty` });
           }
-        ];
+          set[field] = updatedProperty[field].trim();
+        }
+        for (const field of ['image', 'description']) {
+          if (updatedProperty[field] !== undefined) set[field] = updatedProperty[field];
+        }
 
-        // Insert sample properties
-        const propertiesResult = await propertiesCollection.insertMany(sampleProperties);
-        
-        // Sample users
-        const sampleUsers = [
-          {
-            uid: "admin-uid-1",
-            email: "admin@example.com",
-            name: "Admin User",
-            photoURL: "https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150",
-            role: "admin",
-            createdAt: new Date()
-          },
-          {
-            uid: "agent-uid-1",
-            email: "john@example.com",
-            name: "John Smith",
-            photoURL: "https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150",
-            role: "agent",
-            createdAt: new Date()
-          },
-          {
-            uid: "user-uid-1",
-            email: "user@example.com",
-            name: "Regular User",
-            photoURL: "https://images.unsplash.com/photo-1494790108755-2616b612b786?w=150",
-            role: "user",
-            createdAt: new Date()
+        const price = normalizePriceInput(updatedProperty);
+        if (price.error) {
+          return res.status(400).json({ error: price.error });
+        }
+        Object.assign(set, price.values);
+
+        const geo = normalizeGeoInput(updatedProperty);
+        if (geo.error) {
+          return res.status(400).json({ error: geo.error });
+        }
+        if (geo.values && geo.values.geoLocation) {
+          set.geoLocation = geo.values.geoLocation;
+        } else if (geo.values) {
+          unset.geoLocation = '';
+        }
+
+        const attributes = normalizeAttributesInput(updatedProperty);
+        if (attributes.error) {
+          return res.status(400).json({ error: attributes.error });
+        }
+        Object.entries(attributes.values).forEach(([field, value]) => {
+          if (value === null) {
+            unset[field] = '';
+          } else {
+            set[field] = value;
           }
-        ];
+        });
 
-        // Insert sample users
-        const usersResult = await usersCollection.insertMany(sampleUsers);
+        const changes = diffPropertyUpdate(existingProperty, set, unset);
+        if (changes.length === 0) {
+          return res.send({ acknowledged: true, matchedCount: 1, modifiedCount: 0, status: existingProperty.status, changedFields: [] });
+        }
 
-        res.json({
-          message: 'Sample data created successfully',
-          properties: propertiesResult.insertedCount,
-          users: usersResult.insertedCount
+        // Admin edits don't need a second look; agent edits to what buyers rely on do
+        const now = new Date();
+        const needsReview = existingProperty.status === 'verified' && req.user.role !== 'admin' &&
+          changes.some(change => MATERIAL_PROPERTY_FIELDS.includes(change.field));
+        set.updatedAt = now;
+        const update = { $set: set };
+        if (needsReview) {
+          set.status = 'pending';
+          set.submittedAt = now;
+          update.$push = {
+            moderationHistory: moderationEntry('returned-to-review', req.user, existingProperty.status, 'pending', {
+              reason: 'Material fields changed',
+              fields: changes.map(change => change.field)
+            })
+          };
+        }
+        if (Object.keys(unset).length > 0) {
+          update.$unset = unset;
+        }
+        const result = await propertiesCollection.updateOne(filter, update);
+
+        await propertyRevisionsCollection.insertOne({
+          propertyId: existingProperty._id,
+          editedBy: req.user.email,
+          editedByRole: req.user.role,
+          editedAt: now,
+          changes,
+          statusChange: needsReview ? { from: existingProperty.status, to: 'pending' } : null
+        });
+
+        res.send({
+          acknowledged: result.acknowledged,
+          matchedCount: result.matchedCount,
+          modifiedCount: result.modifiedCount,
+          status: set.status || existingProperty.status,
+          changedFields: changes.map(change => change.field)
         });
       } catch (error) {
-        console.error('Error seeding data:', error);
-        res.status(500).json({ message: 'Error seeding data', error: error.message });
+        console.error('Error updating property:', error);
+        res.status(500).json({ error: 'Failed to update property' });
       }
     });
 
-    // Clear all data (for testing)
-    app.delete('/clear-data', async (req, res) => {
+    app.get('/properties/:id/similar', async (req, res) => {
       try {
-        const propertiesDeleted = await propertiesCollection.deleteMany({});
-        const usersDeleted = await usersCollection.deleteMany({});
-        const wishlistDeleted = await wishlistCollection.deleteMany({});
-        const offersDeleted = await offersCollection.deleteMany({});
-        const reviewsDeleted = await reviewsCollection.deleteMany({});
+        const id = req.params.id;
 
-        res.json({
-          message: 'All data cleared successfully',
-          deleted: {
-            properties: propertiesDeleted.deletedCount,
-            users: usersDeleted.deletedCount,
-            wishlist: wishlistDeleted.deletedCount,
-            offers: offersDeleted.deletedCount,
-            reviews: reviewsDeleted.deletedCount
-          }
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+
+        const property = await propertiesCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+
+        const { limit } = parsePagination(req.query, 6, 20);
+        const candidates = await propertiesCollection
+          .find({ ...LISTED_PROPERTY_FILTER, ...buildSimilarCandidateQuery([property]), _id: { $ne: property._id } })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(MAX_SIMILAR_CANDIDATES)
+          .toArray();
+
+        const result = candidates
+          .map(candidate => ({ ...candidate, saleStatus: saleStatusOf(candidate), similarityScore: scoreSimilarProperty(property, candidate) }))
+          .filter(candidate => candidate.similarityScore > 0)
+          .sort((a, b) => b.similarityScore - a.similarityScore)
+          .slice(0, limit);
+        res.send(result);
+      } catch (error) {
+        console.error('Error fetching similar properties:', error);
+        res.status(500).json({ error: 'Failed to fetch similar properties' });
+      }
+    });
+
+    // Suggestions based on the user's wishlist, offers and recently viewed
+    // listings (tracked views plus any the client sends as viewed=id1,id2). Listings the user has
+    // already interacted with are never suggested; without any history the
+    // newest listings are returned.
+    app.get('/recommendations/me', verifyUser, async (req, res) => {
+      try {
+        const email = req.user.email;
+        const { limit } = parsePagination(req.query, 12, 50);
+
+        const clientViewedIds = String(req.query.viewed || '').split(',').map(id => id.trim()).filter(isValidObjectId).slice(0, 20);
+        const [wishlistItems, offers, views] = await Promise.all([
+          wishlistCollection.find({ userEmail: email }).sort({ createdAt: -1 }).limit(50).toArray(),
+          offersCollection.find({ buyerEmail: email }).sort({ createdAt: -1 }).limit(50).toArray(),
+          propertyEventsCollection.find({ actor: `user:${email}`, type: 'view' }).sort({ occurredAt: -1 }).limit(20).toArray()
+        ]);
+        const viewedIds = [...new Set([...clientViewedIds, ...views.map(view => view.propertyId.toString())])];
+
+        const seenIds = [...new Set([
+          ...wishlistItems.map(item => String(item.propertyId)),
+          ...offers.map(offer => String(offer.propertyId)),
+          ...viewedIds
+        ])].filter(isValidObjectId);
+        const seenObjectIds = seenIds.map(id => new ObjectId(id));
+
+        // The most recent interactions describe what the user is looking for.
+        // Views the client sends have no timestamp and count as happening now.
+        const requestedAt = new Date();
+        const interactions = [
+          ...clientViewedIds.map(id => ({ id, at: requestedAt })),
+          ...wishlistItems.map(item => ({ id: String(item.propertyId), at: item.createdAt })),
+          ...offers.map(offer => ({ id: String(offer.propertyId), at: offer.createdAt })),
+          ...views.map(view => ({ id: view.propertyId.toString(), at: view.occurredAt }))
+        ]
+          .filter(interaction => isValidObjectId(interaction.id))
+          .sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0));
+        const seedIds = [...new Set(interactions.map(interaction => interaction.id))].slice(0, 20);
+        const seeds = await propertiesCollection
+          .find({ _id: { $in: seedIds.map(id => new ObjectId(id)) } })
+          .toArray();
+
+        const query = { ...LISTED_PROPERTY_FILTER, _id: { $nin: seenObjectIds }, agentEmail: { $ne: email } };
+        let properties;
+        if (seeds.length === 0) {
+          properties = await propertiesCollection.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray();
+        } else {
+          const candidates = await propertiesCollection
+            .find({ ...query, ...buildSimilarCandidateQuery(seeds) })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(MAX_SIMILAR_CANDIDATES)
+            .toArray();
+          properties = candidates
+            .map(candidate => ({
+              ...candidate,
+              similarityScore: Math.max(...seeds.map(seed => scoreSimilarProperty(seed, candidate)))
+            }))
+            .filter(candidate => candidate.similarityScore > 0)
+            .sort((a, b) => b.similarityScore - a.similarityScore)
+            .slice(0, limit);
+        }
+
+        properties.forEach(property => {
+          property.saleStatus = saleStatusOf(property);
+        });
+        res.send({
+          properties,
+          basedOn: { wishlist: wishlistItems.length, offers: offers.length, viewed: viewedIds.length }
         });
       } catch (error) {
-        console.error('Error clearing data:', error);
-        res.status(500).json({ message: 'Error clearing data', error: error.message });
+        console.error('Error fetching recommendations:', error);
+        res.status(500).json({ error: 'Failed to fetch recommendations' });
       }
     });
 
-    // JWT token generation
-    app.post('/jwt', (req, res) => {
-      const user = req.body;
-      const token = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '1h' });
-      res.send({ token });
+    app.get('/properties/:id/history', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
+
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+
+        const revisions = await propertyRevisionsCollection
+          .find({ propertyId: new ObjectId(id) })
+          .sort({ editedAt: -1 })
+          .toArray();
+        res.send(revisions);
+      } catch (error) {
+        console.error('Error fetching property history:', error);
+        res.status(500).json({ error: 'Failed to fetch property history' });
+      }
     });
 
-    // User Management APIs
-    app.get('/users', verifyUser, async (req, res) => {
-      const result = await usersCollection.find().toArray();
-      res.send(result);
+    // Property image galleries. `images` is ordered; `image` always mirrors
+    // the cover so existing clients keep working. Gallery changes are single
+    // $push/$pull updates followed by syncCover, which recomputes the cover
+    // from the stored array, so concurrent edits can't drop each other's images.
+    const MAX_PROPERTY_IMAGES = 20;
+
+    const GALLERY_PROJECTION = { _id: 0, images: 1, coverImageId: 1, image: 1 };
+
+    // Keeps coverImageId when it is still in the gallery, else falls back to the first image
+    const syncCover = (propertyId) => propertiesCollection.findOneAndUpdate(
+      { _id: propertyId },
+      [
+        {
+          $set: {
+            coverImageId: {
+              $let: {
+                vars: { ids: { $ifNull: ['$images.id', []] } },
+                in: {
+                  $cond: [
+                    { $in: ['$coverImageId', '$$ids'] },
+                    '$coverImageId',
+                    { $ifNull: [{ $arrayElemAt: ['$$ids', 0] }, null] }
+                  ]
+                }
+              }
+            }
+          }
+        },
+        {
+          $set: {
+            image: {
+              $let: {
+                vars: {
+                  cover: {
+                    $arrayElemAt: [
+                      { $filter: { input: { $ifNull: ['$images', []] }, cond: { $eq: ['$$this.id', '$coverImageId'] } } },
+                      0
+                    ]
+                  }
+                },
+                in: { $ifNull: ['$$cover.url', null] }
+              }
+            }
+          }
+        }
+      ],
+      { returnDocument: 'after', projection: GALLERY_PROJECTION }
+    );
+
+    // Loads a property the current user may edit, or sends the error response
+    const findEditableProperty = async (req, res) => {
+      if (!isValidObjectId(req.params.id)) {
+        res.status(400).json({ error: 'Invalid property ID format' });
+        return null;
+      }
+      const property = await propertiesCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+      if (!property) {
+        res.status(404).json({ error: 'Property not found' });
+        return null;
+      }
+      if (!isOwnerOrAdmin(req.user, property.agentEmail)) {
+        sendNotOwner(res, 'Access denied. You can only edit your own properties.');
+        return null;
+      }
+      return property;
+    };
+
+    // Like findEditableProperty, for the gallery routes: listings created
+    // before galleries only have `image`, which becomes their first gallery
+    // entry so the existing cover isn't lost on the first change.
+    const findGalleryProperty = async (req, res) => {
+      const property = await findEditableProperty(req, res);
+      if (!property || property.images || !property.image) return property;
+
+      const legacy = { id: new ObjectId(), url: property.image, storageId: null, uploadedAt: property.createdAt || new Date() };
+      await propertiesCollection.updateOne(
+        { _id: property._id, images: { $exists: false } },
+        { $set: { images: [legacy], coverImageId: legacy.id } }
+      );
+      return propertiesCollection.findOne({ _id: property._id });
+    };
+
+    // Checks ownership before multer reads the upload, so files for a
+    // listing the user can't edit are never buffered
+    const requireGalleryProperty = async (req, res, next) => {
+      try {
+        req.property = await findGalleryProperty(req, res);
+        if (req.property) next();
+      } catch (error) {
+        console.error('Error loading property for image upload:', error);
+        res.status(500).json({ error: 'Failed to upload images' });
+      }
+    };
+
+    app.post('/properties/:id/images', verifyUser, requireAgent, requireGalleryProperty, handleImageUpload(imageUpload.array('images', 10)), async (req, res) => {
+      try {
+        const property = req.property;
+
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json({ error: 'No images uploaded (use the "images" field)' });
+        }
+        if ((property.images || []).length + req.files.length > MAX_PROPERTY_IMAGES) {
+          return res.status(400).json({ error: `A property can have at most ${MAX_PROPERTY_IMAGES} images` });
+        }
+
+        const uploaded = [];
+        for (const file of req.files) {
+          const stored = await imageStorage.save(file.buffer, { folder: `properties/${property._id}`, mimetype: file.mimetype });
+          uploaded.push({ id: new ObjectId(), url: stored.url, storageId: stored.storageId, uploadedAt: new Date() });
+        }
+
+        // The limit is checked again in the filter in case another upload landed meanwhile
+        const result = await propertiesCollection.updateOne(
+          { _id: property._id, [`images.${MAX_PROPERTY_IMAGES - uploaded.length}`]: { $exists: false } },
+          { $push: { images: { $each: uploaded } }, $set: { updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          uploaded.forEach(image => imageStorage.remove(image.storageId).catch(error => console.error('Error removing stored image:', error)));
+          return res.status(400).json({ error: `A property can have at most ${MAX_PROPERTY_IMAGES} images` });
+        }
+
+        const gallery = await syncCover(property._id);
+        res.status(201).json({ success: true, uploaded: uploaded.length, ...gallery });
+      } catch (error) {
+        console.error('Error uploading property images:', error);
+        res.status(500).json({ error: 'Failed to upload images' });
+      }
     });
 
-    app.get('/users/:email', verifyUser, async (req, res) => {
+    app.patch('/properties/:id/images/order', verifyUser, requireAgent, async (req, res) => {
       try {
-        const email = req.params.email;
-        const user = await usersCollection.findOne({ email: email });
-        
-        if (!user) {
-          return res.status(404).json({ error: 'User not found' });
+        const property = await findGalleryProperty(req, res);
+        if (!property) return;
+
+        const images = property.images || [];
+        const { imageIds } = req.body;
+        const isPermutation = Array.isArray(imageIds) && imageIds.length === images.length &&
+          new Set(imageIds).size === imageIds.length &&
+          imageIds.every(imageId => images.some(image => image.id.toString() === imageId));
+        if (!isPermutation) {
+          return res.status(400).json({ error: 'imageIds must list every image of the property exactly once' });
         }
-        
-        res.send(user);
+
+        // Only applied if the gallery still holds exactly these images
+        const ordered = imageIds.map(imageId => images.find(image => image.id.toString() === imageId));
+        const result = await propertiesCollection.updateOne(
+          { _id: property._id, images: { $size: ordered.length }, 'images.id': { $all: ordered.map(image => image.id) } },
+          { $set: { images: ordered, updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(409).json({ error: 'The gallery changed meanwhile; reload it and try again' });
+        }
+
+        const gallery = await syncCover(property._id);
+        res.json({ success: true, ...gallery });
       } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({ error: 'Failed to fetch user' });
+        console.error('Error reordering property images:', error);
+        res.status(500).json({ error: 'Failed to reorder images' });
       }
     });
 
-    app.post('/users', async (req, res) => {
-      const user = req.body;
-      const query = { email: user.email };
-      const existingUser = await usersCollection.findOne(query);
-      if (existingUser) {
-        return res.send({ message: 'user already exists' });
-      }
-      user.role = 'user';
-      user.createdAt = new Date();
-      const result = await usersCollection.insertOne(user);
-      res.send(result);
+    app.patch('/properties/:id/images/cover', verifyUser, requireAgent, async (req, res) => {
+      try {
+        const property = await findGalleryProperty(req, res);
+        if (!property) return;
+
+        const cover = (property.images || []).find(image => image.id.toString() === req.body.imageId);
+        if (!cover) {
+          return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const gallery = await propertiesCollection.findOneAndUpdate(
+          { _id: property._id, 'images.id': cover.id },
+          { $set: { coverImageId: cover.id, image: cover.url, updatedAt: new Date() } },
+          { returnDocument: 'after', projection: GALLERY_PROJECTION }
+        );
+        if (!gallery) {
+          return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.json({ success: true, ...gallery });
+      } catch (error) {
+        console.error('Error setting cover image:', error);
+        res.status(500).json({ error: 'Failed to set cover image' });
+      }
     });
 
-    app.patch('/users/admin/:id', verifyUser, async (req, res) => {
+    app.delete('/properties/:id/images/:imageId', verifyUser, requireAgent, async (req, res) => {
       try {
-        const id = req.params.id;
-        
-        if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid user ID format' });
+        const property = await findGalleryProperty(req, res);
+        if (!property) return;
+
+        const removed = (property.images || []).find(image => image.id.toString() === req.params.imageId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Image not found' });
         }
-        
-        const filter = { _id: new ObjectId(id) };
-        const updateDoc = {
-          $set: {
-            role: 'admin'
-          },
-        };
-        const result = await usersCollection.updateOne(filter, updateDoc);
-        res.send(result);
+
+        const result = await propertiesCollection.updateOne(
+          { _id: property._id },
+          { $pull: { images: { id: removed.id } }, $set: { updatedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) {
+          return res.status(404).json({ error: 'Image not found' });
+        }
+        const gallery = await syncCover(property._id);
+
+        // The listing is already updated; a leftover file is only logged.
+        // Images seeded from the legacy `image` field have no stored file.
+        if (removed.storageId) {
+          imageStorage.remove(removed.storageId).catch(error => console.error('Error removing stored image:', error));
+        }
+
+        res.json({ success: true, ...gallery });
       } catch (error) {
-        console.error('Error updating user to admin:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Error deleting property image:', error);
+        res.status(500).json({ error: 'Failed to delete image' });
       }
     });
 
-    app.patch('/users/agent/:id', verifyUser, async (req, res) => {
+    // Moderation. The latest rejection is also kept in `rejection` so the
+    // agent can see what to fix.
+    app.patch('/properties/verify/:id', verifyUser, requireAdmin, async (req, res) => {
       try {
         const id = req.params.id;
         
         if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid user ID format' });
+          return res.status(400).json({ error: 'Invalid property ID format' });
         }
         
-        const filter = { _id: new ObjectId(id) };
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
+        const property = await propertiesCollection.findOne(filter, { projection: { status: 1 } });
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+
+        const entry = moderationEntry('verified', req.user, property.status, 'verified', { notes: req.body.notes || '' });
         const updateDoc = {
           $set: {
-            role: 'agent'
+            status: 'verified',
+            verifiedBy: req.user.email,
+            verifiedAt: entry.at,
+            updatedAt: entry.at
           },
+          $unset: { rejection: '' },
+          $push: { moderationHistory: entry }
         };
-        const result = await usersCollection.updateOne(filter, updateDoc);
+        const result = await propertiesCollection.updateOne(filter, updateDoc);
         res.send(result);
       } catch (error) {
-        console.error('Error updating user to agent:', error);
-        res.status(500).json({ error: 'Failed to update user role' });
+        console.error('Error verifying property:', error);
+        res.status(500).json({ error: 'Failed to verify property' });
       }
     });
 
-    app.patch('/users/fraud/:id', verifyUser, async (req, res) => {
+    app.patch('/properties/reject/:id', verifyUser, requireAdmin, async (req, res) => {
       try {
         const id = req.params.id;
+        const { reason, notes } = req.body;
         
         if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid user ID format' });
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+          return res.status(400).json({ error: 'A rejection reason is required' });
         }
         
-        const filter = { _id: new ObjectId(id) };
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
+        const property = await propertiesCollection.findOne(filter, { projection: { status: 1 } });
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+
+        const entry = moderationEntry('rejected', req.user, property.status, 'rejected', {
+          reason: reason.trim(),
+          notes: notes || ''
+        });
         const updateDoc = {
           $set: {
-            role: 'fraud'
+            status: 'rejected',
+            rejection: { reason: entry.reason, notes: entry.notes, by: entry.by, at: entry.at },
+            updatedAt: entry.at
           },
+          $push: { moderationHistory: entry }
         };
-        const result = await usersCollection.updateOne(filter, updateDoc);
-        
-        // Remove all properties by this agent from verified properties
-        await propertiesCollection.updateMany(
-          { agentEmail: req.body.email },
-          { $set: { verificationStatus: 'rejected' } }
-        );
-        
+        const result = await propertiesCollection.updateOne(filter, updateDoc);
         res.send(result);
       } catch (error) {
-        console.error('Error updating user to fraud:', error);
-        res.status(500).json({ error: 'Failed to update user role' });
+        console.error('Error rejecting property:', error);
+        res.status(500).json({ error: 'Failed to reject property' });
       }
     });
 
-    app.delete('/users/:id', verifyUser, async (req, res) => {
+    // Agents fix a rejected listing with PUT /properties/:id, then send it back
+    app.patch('/properties/resubmit/:id', verifyUser, requireAgent, async (req, res) => {
       try {
         const id = req.params.id;
-        
+
         if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid user ID format' });
+          return res.status(400).json({ error: 'Invalid property ID format' });
         }
-        
-        const query = { _id: new ObjectId(id) };
-        const result = await usersCollection.deleteOne(query);
-        res.send(result);
+
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
+        const property = await propertiesCollection.findOne(filter, { projection: { status: 1, agentEmail: 1 } });
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, property.agentEmail)) {
+          return sendNotOwner(res, 'Access denied. You can only resubmit your own properties.');
+        }
+        if (property.status !== 'rejected') {
+          return res.status(400).json({ error: 'Only rejected properties can be resubmitted' });
+        }
+
+        const entry = moderationEntry('resubmitted', req.user, 'rejected', 'pending', { notes: req.body.notes || '' });
+        const result = await propertiesCollection.updateOne(
+          { ...filter, status: 'rejected' },
+          {
+            $set: { status: 'pending', submittedAt: entry.at, updatedAt: entry.at },
+            $push: { moderationHistory: entry }
+          }
+        );
+        res.send({ success: result.modifiedCount > 0, status: 'pending' });
       } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({ error: 'Failed to delete user' });
+        console.error('Error resubmitting property:', error);
+        res.status(500).json({ error: 'Failed to resubmit property' });
       }
     });
 
-    // Property Management APIs
-    app.get('/properties', async (req, res) => {
+    app.get('/properties/:id/moderation', verifyUser, async (req, res) => {
       try {
-        const { search, sort, minPrice, maxPrice, admin, status } = req.query;
-        
-        // Build status filter based on permissions and request
-        let query = {};
-        if (admin === 'true') {
-          // Admin can see all properties or filter by specific status
-          if (status && status !== 'all') {
-            query.status = status;
-          }
-          // If status is 'all' or not provided, don't add status filter
-        } else {
-          // Regular users: handle different status requests
-          if (status === 'pending') {
-            query.status = 'pending';
-          } else if (status === 'verified') {
-            query.status = 'verified';
-          } else if (status === 'all') {
-            // Don't add status filter - show all properties
-          } else if (!status) {
-            // No status parameter means show all properties (for "All Properties" filter)
-            // Don't add status filter
-          } else {
-            // Any other specific status requested
-            query.status = status;
-          }
-        }
-        
-        if (search) {
-          query.$or = [
-            { title: { $regex: search, $options: 'i' } },
-            { location: { $regex: search, $options: 'i' } },
-            { description: { $regex: search, $options: 'i' } }
-          ];
+        const id = req.params.id;
+
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
         }
-        
-        if (minPrice || maxPrice) {
-          // For price filtering, we'll parse the priceRange string
-          const priceFilter = {};
-          if (minPrice) priceFilter.$gte = parseInt(minPrice);
-          if (maxPrice) priceFilter.$lte = parseInt(maxPrice);
-          // This is a simplified approach - in production you'd want better price parsing
+
+        const property = await propertiesCollection.findOne(
+          { _id: new ObjectId(id) },
+          { projection: { title: 1, agentEmail: 1, status: 1, submittedAt: 1, rejection: 1, moderationHistory: 1 } }
+        );
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
         }
-        
-        let result = propertiesCollection.find(query);
-        
-        // Apply initial database sorting for non-price sorts
-        if (sort === 'newest' || !sort) {
-          result = result.sort({ createdAt: -1 });
-        } else if (sort === 'oldest') {
-          result = result.sort({ createdAt: 1 });
-        } else {
-          // For price sorts, get all data first then sort in JavaScript
-          result = result.sort({ createdAt: -1 }); // Default order first
+        if (!isOwnerOrAdmin(req.user, property.agentEmail)) {
+          return sendNotOwner(res);
         }
-        
-        let properties = await result.toArray();
-        console.log(`Fetched ${properties.length} properties, sorting by: ${sort || 'default (newest)'}`);
-        console.log(`Status filter applied: ${status || 'none'}, Query: ${JSON.stringify(query)}`);
-        
-        // For price sorting, we need to sort by extracted numeric values since priceRange is a string
-        if (sort === 'price-asc' || sort === 'price-desc') {
-          properties = properties.sort((a, b) => {
-            const getPriceFromRange = (priceRange) => {
-              if (!priceRange) return 0;
-              // Extract first number from strings like "$300,000 - $400,000", "300000-400000", "300,000 - 400,000"
-              const match = priceRange.match(/\$?([\d,]+)/);
-              return match ? parseInt(match[1].replace(/,/g, '')) : 0;
-            };
-            
-            const priceA = getPriceFromRange(a.priceRange);
-            const priceB = getPriceFromRange(b.priceRange);
-            
-            if (sort === 'price-asc') {
-              return priceA - priceB;
-            } else {
-              return priceB - priceA;
-            }
-          });
-          
-          console.log(`Price sorting applied: ${sort}, first property price: ${properties[0]?.priceRange}, last property price: ${properties[properties.length - 1]?.priceRange}`);
+
+        res.send({ ...property, moderationHistory: property.moderationHistory || [] });
+      } catch (error) {
+        console.error('Error fetching moderation history:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation history' });
+      }
+    });
+
+    // Admin review queue, longest-waiting first
+    app.get('/moderation/properties', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const status = req.query.status || 'pending';
+        if (!MODERATION_QUEUE_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${MODERATION_QUEUE_STATUSES.join(', ')}` });
         }
-        
-        // Return data in expected format for frontend
-        res.json({
-          properties: properties,
-          total: properties.length,
-          page: parseInt(req.query.page) || 1,
-          limit: parseInt(req.query.limit) || 12,
-          totalPages: Math.ceil(properties.length / (parseInt(req.query.limit) || 12))
-        });
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = { status, ...NOT_DELETED };
+
+        const [properties, total] = await Promise.all([
+          propertiesCollection.aggregate([
+            { $match: query },
+            { $set: { queuedAt: { $ifNull: ['$submittedAt', '$createdAt'] } } },
+            { $sort: { queuedAt: 1, _id: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $set: { waitingHours: { $round: [{ $divide: [{ $subtract: ['$$NOW', '$queuedAt'] }, 1000 * 60 * 60] }, 1] } } }
+          ]).toArray(),
+          propertiesCollection.countDocuments(query)
+        ]);
+
+        res.json({ properties, total, page, limit, totalPages: Math.ceil(total / limit) });
       } catch (error) {
-        console.error('Error fetching properties:', error);
-        res.status(500).json({ message: 'Error fetching properties', error: error.message });
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation queue' });
       }
     });
 
-    app.get('/properties/:id', async (req, res) => {
+    // Advertising campaigns. A campaign features one property between
+    // startsAt and endsAt; /advertised-properties rotates the active ones
+    // through FEATURED_SLOTS, least recently shown first.
+    const campaignStatus = (campaign, now = new Date()) => {
+      if (campaign.cancelledAt) return 'cancelled';
+      if (campaign.startsAt > now) return 'scheduled';
+      if (campaign.endsAt > now) return 'active';
+      return 'ended';
+    };
+
+    // Highest number of the given campaigns running at the same time within [startsAt, endsAt)
+    const maxConcurrentCampaigns = (campaigns, startsAt, endsAt) => {
+      const events = [];
+      campaigns.forEach(campaign => {
+        events.push([Math.max(campaign.startsAt, startsAt), 1]);
+        events.push([Math.min(campaign.endsAt, endsAt), -1]);
+      });
+      // At equal times, ends are processed before starts
+      events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+      let current = 0;
+      let max = 0;
+      events.forEach(([, delta]) => {
+        current += delta;
+        max = Math.max(max, current);
+      });
+      return max;
+    };
+
+    // Ends the property's running campaigns and drops its scheduled ones
+    const cancelPropertyCampaigns = (propertyId, cancelledBy) => adCampaignsCollection.updateMany(
+      { propertyId, cancelledAt: { $exists: false }, endsAt: { $gt: new Date() } },
+      { $set: { cancelledAt: new Date(), cancelledBy } }
+    );
+
+    app.patch('/properties/advertise/:id', verifyUser, requireAdmin, async (req, res) => {
       try {
         const id = req.params.id;
         
-        // Validate ObjectId
         if (!isValidObjectId(id)) {
           return res.status(400).json({ error: 'Invalid property ID format' });
         }
+
+        const now = new Date();
+        const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : now;
+        const endsAt = req.body.endsAt
+          ? new Date(req.body.endsAt)
+          : new Date(startsAt.getTime() + DEFAULT_CAMPAIGN_DAYS * 24 * 60 * 60 * 1000);
+        if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt || endsAt <= now) {
+          return res.status(400).json({ error: 'endsAt must be a future date after startsAt' });
+        }
         
-        const query = { _id: new ObjectId(id) };
-        const result = await propertiesCollection.findOne(query);
-        
-        if (!result) {
+        const filter = { _id: new ObjectId(id), ...NOT_DELETED };
+        const property = await propertiesCollection.findOne(filter);
+        if (!property) {
           return res.status(404).json({ error: 'Property not found' });
         }
-        
-        res.send(result);
+        if (property.status !== 'verified' || property.agentFraud || !['available', 'under-offer'].includes(saleStatusOf(property))) {
+          return res.status(400).json({ error: 'Only verified, unsold listings from agents in good standing can be advertised' });
+        }
+
+        const overlapping = await adCampaignsCollection.find({
+          cancelledAt: { $exists: false },
+          startsAt: { $lt: endsAt },
+          endsAt: { $gt: startsAt }
+        }).toArray();
+        if (overlapping.some(campaign => campaign.propertyId.equals(property._id))) {
+          return res.status(409).json({ error: 'This property already has a campaign in that period' });
+        }
+        if (maxConcurrentCampaigns(overlapping, startsAt, endsAt) >= MAX_ACTIVE_CAMPAIGNS) {
+          return res.status(409).json({ error: `At most ${MAX_ACTIVE_CAMPAIGNS} campaigns can run at the same time` });
+        }
+
+        const campaign = {
+          propertyId: property._id,
+          propertyTitle: property.title,
+          agentEmail: property.agentEmail,
+          startsAt,
+          endsAt,
+          createdBy: req.user.email,
+          createdAt: now,
+          impressions: 0,
+          clicks: 0,
+          lastShownAt: null
+        };
+        const result = await adCampaignsCollection.insertOne(campaign);
+        await propertiesCollection.updateOne(filter, { $set: { advertised: true, updatedAt: now } });
+
+        res.send({ success: true, campaignId: result.insertedId, status: campaignStatus(campaign, now), startsAt, endsAt });
       } catch (error) {
-        console.error('Error fetching property:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Error advertising property:', error);
+        res.status(500).json({ error: 'Failed to advertise property' });
       }
     });
 
-    app.get('/properties/agent/:email', verifyUser, async (req, res) => {
-      const email = req.params.email;
-      const query = { agentEmail: email };
-      const result = await propertiesCollection.find(query).toArray();
-      res.send(result);
-    });
+    // Cancels the property's running and scheduled campaigns
+    app.patch('/properties/unadvertise/:id', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const id = req.params.id;
 
-    app.get('/properties/sold/:email', verifyUser, async (req, res) => {
-      const email = req.params.email;
-      const soldOffers = await offersCollection.find({ 
-        agentEmail: email, 
-        status: 'bought' 
-      }).toArray();
-      res.send(soldOffers);
+        if (!isValidObjectId(id)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+
+        const now = new Date();
+        const propertyId = new ObjectId(id);
+        const result = await cancelPropertyCampaigns(propertyId, req.user.email);
+        await propertiesCollection.updateOne({ _id: propertyId }, { $set: { advertised: false, updatedAt: now } });
+
+        res.send({ success: true, cancelledCampaigns: result.modifiedCount });
+      } catch (error) {
+        console.error('Error removing property advertisement:', error);
+        res.status(500).json({ error: 'Failed to remove advertisement' });
+      }
     });
 
-    app.post('/properties', verifyUser, async (req, res) => {
+    app.get('/advertised-properties', async (req, res) => {
       try {
-        console.log('Adding property request received');
-        console.log('User from token:', req.decoded);
-        console.log('User details:', req.user);
-        console.log('Request body:', req.body);
-        
-        const property = req.body;
-        
-        // Auto-verify properties posted by admins, others remain pending
-        if (req.user && req.user.role === 'admin') {
-          property.status = 'verified'; // Admin properties are auto-verified
-          property.verifiedBy = req.user.email;
-          property.verifiedAt = new Date();
-          console.log('Admin user detected - property auto-verified');
-        } else {
-          property.status = 'pending'; // Regular agent properties need admin approval
-          console.log('Agent user detected - property set to pending for admin review');
-        }
-        
-        property.createdAt = new Date();
-        property.updatedAt = new Date();
-        property.advertised = false;
-        
-        console.log('Property to insert:', property);
-        
-        // Check database connection
-        if (!propertiesCollection) {
-          throw new Error('Properties collection not initialized');
+        const now = new Date();
+        const candidates = await adCampaignsCollection.aggregate([
+          { $match: { cancelledAt: { $exists: false }, startsAt: { $lte: now }, endsAt: { $gt: now } } },
+          { $sort: { lastShownAt: 1, _id: 1 } },
+          { $lookup: { from: 'properties', localField: 'propertyId', foreignField: '_id', as: 'property' } },
+          { $unwind: '$property' },
+          // Eligibility is checked again here: listings can lose it mid-campaign
+          {
+            $match: {
+              'property.status': 'verified',
+              'property.agentFraud': { $ne: true },
+              'property.saleStatus': { $nin: ['sold', 'withdrawn'] },
+              'property.deletedAt': { $exists: false }
+            }
+          },
+          { $limit: FEATURED_SLOTS }
+        ]).toArray();
+
+        if (candidates.length > 0) {
+          await adCampaignsCollection.updateMany(
+            { _id: { $in: candidates.map(campaign => campaign._id) } },
+            { $inc: { impressions: 1 }, $set: { lastShownAt: now } }
+          );
         }
-        
-        const result = await propertiesCollection.insertOne(property);
-        
-        console.log('Property inserted successfully:', result.insertedId);
-        
-        const responseMessage = req.user && req.user.role === 'admin' 
-          ? 'Property added and automatically verified (admin privilege)'
-          : 'Property added successfully and is pending admin approval';
 
-        res.status(201).json({
-          success: true,
-          message: responseMessage,
-          propertyId: result.insertedId,
-          status: property.status
-        });
+        const result = candidates.map(campaign => ({
+          ...campaign.property,
+          saleStatus: saleStatusOf(campaign.property),
+          campaignId: campaign._id
+        }));
+        res.json(result);
       } catch (error) {
-        console.error('Detailed error adding property:', error);
-        console.error('Error name:', error.name);
-        console.error('Error message:', error.message);
-        console.error('Error stack:', error.stack);
-        res.status(500).json({
-          error: true,
-          message: 'Failed to add property',
-          details: error.message
-        });
+        console.error('Error fetching advertised properties:', error);
+        res.status(500).json({ message: 'Error fetching advertised properties', error: error.message });
       }
     });
 
-    app.put('/properties/:id', verifyUser, async (req, res) => {
+    app.post('/campaigns/:id/click', optionalUser, async (req, res) => {
       try {
         const id = req.params.id;
-        
+
         if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid property ID format' });
+          return res.status(400).json({ error: 'Invalid campaign ID format' });
         }
-        
-        const filter = { _id: new ObjectId(id) };
-        const options = { upsert: true };
-        const updatedProperty = req.body;
-        const property = {
-          $set: {
-            title: updatedProperty.title,
-            location: updatedProperty.location,
-            image: updatedProperty.image,
-            priceRange: updatedProperty.priceRange,
-            description: updatedProperty.description
+
+        const campaign = await adCampaignsCollection.findOne({ _id: new ObjectId(id) });
+        if (!campaign) {
+          return res.status(404).json({ error: 'Campaign not found' });
+        }
+        if (campaignStatus(campaign) !== 'active') {
+          return res.status(409).json({ error: 'This campaign is not running' });
+        }
+
+        // One click per viewer and campaign; the marker expires with the campaign
+        const viewer = getViewerKey(req);
+        try {
+          await campaignClicksCollection.insertOne({
+            _id: { campaignId: campaign._id, viewer: hashToken(viewer.key) },
+            clickedAt: new Date(),
+            expiresAt: campaign.endsAt
+          });
+        } catch (error) {
+          if (error.code === 11000) return res.json({ success: true, counted: false });
+          throw error;
+        }
+
+        await adCampaignsCollection.updateOne({ _id: campaign._id }, { $inc: { clicks: 1 } });
+        res.json({ success: true, counted: true });
+      } catch (error) {
+        console.error('Error recording campaign click:', error);
+        res.status(500).json({ error: 'Failed to record click' });
+      }
+    });
+
+    // Clears `advertised` on listings left without a running or scheduled campaign
+    const clearEndedAdvertisements = async () => {
+      const now = new Date();
+      const advertisedIds = await adCampaignsCollection.distinct('propertyId', { cancelledAt: { $exists: false }, endsAt: { $gt: now } });
+      const result = await propertiesCollection.updateMany(
+        { advertised: true, _id: { $nin: advertisedIds } },
+        { $set: { advertised: false, updatedAt: now } }
+      );
+      return result.modifiedCount;
+    };
+
+    registerJobRoute('/jobs/end-campaigns', async (req, res) => {
+      try {
+        const job = await runExclusiveJob('end-campaigns', clearEndedAdvertisements);
+        if (!job.acquired) return sendJobRunning(res);
+        res.send({ success: true, unadvertised: job.result });
+      } catch (error) {
+        console.error('Error ending campaigns:', error);
+        res.status(500).json({ error: 'Failed to end campaigns' });
+      }
+    });
+
+    app.get('/campaigns', verifyUser, requireAdmin, async (req, res) => {
+      try {
+        const { status, propertyId } = req.query;
+        const now = new Date();
+
+        const query = {};
+        if (propertyId) {
+          if (!isValidObjectId(propertyId)) {
+            return res.status(400).json({ error: 'Invalid property ID format' });
+          }
+          query.propertyId = new ObjectId(propertyId);
+        }
+        if (status === 'cancelled') {
+          query.cancelledAt = { $exists: true };
+        } else if (status === 'scheduled') {
+          Object.assign(query, { cancelledAt: { $exists: false }, startsAt: { $gt: now } });
+        } else if (status === 'active') {
+          Object.assign(query, { cancelledAt: { $exists: false }, startsAt: { $lte: now }, endsAt: { $gt: now } });
+        } else if (status === 'ended') {
+          Object.assign(query, { cancelledAt: { $exists: false }, endsAt: { $lte: now } });
+        }
+
+        const campaigns = await adCampaignsCollection.find(query).sort({ startsAt: -1 }).toArray();
+        res.send(campaigns.map(campaign => ({
+          ...campaign,
+          status: campaignStatus(campaign, now),
+          clickThroughRate: campaign.impressions > 0 ? Math.round((campaign.clicks / campaign.impressions) * 10000) / 100 : 0
+        })));
+      } catch (error) {
+        console.error('Error fetching campaigns:', error);
+        res.status(500).json({ error: 'Failed to fetch campaigns' });
+      }
+    });
+
+    // Sale lifecycle: owners can take a listing off the market and put it back.
+    // Open offers don't survive a withdrawal.
+    app.patch('/properties/withdraw/:id', verifyUser, requireAgent, async (req, res) => {
+      try {
+        const property = await findEditableProperty(req, res);
+        if (!property) return;
+
+        const now = new Date();
+        const result = await propertiesCollection.updateOne(
+          { _id: property._id, saleStatus: { $in: saleStatusFilter(['available', 'under-offer']) } },
+          {
+            $set: { saleStatus: 'withdrawn', saleStatusUpdatedAt: now, advertised: false, updatedAt: now },
+            $unset: { acceptedOfferId: '' }
           }
-        };
-        const result = await propertiesCollection.updateOne(filter, property, options);
-        res.send(result);
+        );
+        if (result.modifiedCount === 0) {
+          return res.status(409).json({ error: `A ${saleStatusOf(property)} property cannot be withdrawn` });
+        }
+
+        const offersCancelled = await offersCollection.updateMany(
+          { propertyId: property._id.toString(), status: { $in: OPEN_OFFER_STATUSES } },
+          { $set: { status: 'cancelled', cancelledReason: 'withdrawn', cancelledAt: now } }
+        );
+        await cancelPropertyCampaigns(property._id, req.user.email);
+
+        res.send({ success: true, saleStatus: 'withdrawn', cancelledOffers: offersCancelled.modifiedCount });
       } catch (error) {
-        console.error('Error updating property:', error);
-        res.status(500).json({ error: 'Failed to update property' });
+        console.error('Error withdrawing property:', error);
+        res.status(500).json({ error: 'Failed to withdraw property' });
       }
     });
 
-    app.patch('/properties/verify/:id', verifyUser, async (req, res) => {
+    app.patch('/properties/relist/:id', verifyUser, requireAgent, async (req, res) => {
       try {
-        const id = req.params.id;
-        
-        if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid property ID format' });
+        const property = await findEditableProperty(req, res);
+        if (!property) return;
+
+        const now = new Date();
+        const result = await propertiesCollection.updateOne(
+          { _id: property._id, saleStatus: 'withdrawn' },
+          { $set: { saleStatus: 'available', saleStatusUpdatedAt: now, updatedAt: now } }
+        );
+        if (result.modifiedCount === 0) {
+          return res.status(409).json({ error: 'Only withdrawn properties can be relisted' });
         }
-        
-        const filter = { _id: new ObjectId(id) };
-        const updateDoc = {
-          $set: {
-            status: 'verified',
-            updatedAt: new Date()
-          },
-        };
-        const result = await propertiesCollection.updateOne(filter, updateDoc);
-        res.send(result);
+
+        res.send({ success: true, saleStatus: 'available' });
       } catch (error) {
-        console.error('Error verifying property:', error);
-        res.status(500).json({ error: 'Failed to verify property' });
+        console.error('Error relisting property:', error);
+        res.status(500).json({ error: 'Failed to relist property' });
       }
     });
 
-    app.patch('/properties/reject/:id', verifyUser, async (req, res) => {
+    // Deleting a listing only marks it; purgeDeletedProperties removes it for
+    // good once PROPERTY_RETENTION_DAYS have passed. Meanwhile open offers are
+    // cancelled, wishlist rows are flagged and reviews are left alone.
+    app.delete('/properties/:id', verifyUser, requireAgent, async (req, res) => {
       try {
         const id = req.params.id;
         
@@ -1246,74 +5429,95 @@ async function run() {
           return res.status(400).json({ error: 'Invalid property ID format' });
         }
         
-        const filter = { _id: new ObjectId(id) };
-        const updateDoc = {
-          $set: {
-            status: 'rejected',
-            updatedAt: new Date()
-          },
-        };
-        const result = await propertiesCollection.updateOne(filter, updateDoc);
-        res.send(result);
+        const query = { _id: new ObjectId(id), ...NOT_DELETED };
+        const property = await propertiesCollection.findOne(query);
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, property.agentEmail)) {
+          return sendNotOwner(res, 'Access denied. You can only delete your own properties.');
+        }
+
+        const now = new Date();
+        const update = { $set: { deletedAt: now, deletedBy: req.user.email, advertised: false, updatedAt: now } };
+        // The accepted offer is cancelled below, so the property is no longer held for anyone
+        if (property.saleStatus === 'under-offer') {
+          update.$set.saleStatus = 'available';
+          update.$set.saleStatusUpdatedAt = now;
+          update.$unset = { acceptedOfferId: '' };
+        }
+        const result = await propertiesCollection.updateOne(query, update);
+
+        const offersCancelled = await offersCollection.updateMany(
+          { propertyId: id, status: { $in: OPEN_OFFER_STATUSES } },
+          { $set: { status: 'cancelled', cancelledReason: 'property-deleted', cancelledAt: now } }
+        );
+        const wishlistFlagged = await wishlistCollection.updateMany(
+          { propertyId: id },
+          { $set: { propertyDeleted: true } }
+        );
+        await cancelPropertyCampaigns(property._id, req.user.email);
+
+        res.send({
+          ...result,
+          purgeAfter: new Date(now.getTime() + PROPERTY_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+          cancelledOffers: offersCancelled.modifiedCount,
+          flaggedWishlistEntries: wishlistFlagged.modifiedCount
+        });
       } catch (error) {
-        console.error('Error rejecting property:', error);
-        res.status(500).json({ error: 'Failed to reject property' });
+        console.error('Error deleting property:', error);
+        res.status(500).json({ error: 'Failed to delete property' });
       }
     });
 
-    app.patch('/properties/advertise/:id', verifyUser, async (req, res) => {
+    // Cancelled offers stay cancelled; buyers have to make a new offer
+    app.patch('/properties/restore/:id', verifyUser, requireAdmin, async (req, res) => {
       try {
         const id = req.params.id;
-        
+
         if (!isValidObjectId(id)) {
           return res.status(400).json({ error: 'Invalid property ID format' });
         }
-        
-        const filter = { _id: new ObjectId(id) };
-        const updateDoc = {
-          $set: {
-            advertised: true,
-            updatedAt: new Date()
-          },
-        };
-        const result = await propertiesCollection.updateOne(filter, updateDoc);
-        res.send(result);
-      } catch (error) {
-        console.error('Error advertising property:', error);
-        res.status(500).json({ error: 'Failed to advertise property' });
-      }
-    });
 
-    app.get('/advertised-properties', async (req, res) => {
-      try {
-        const query = { status: 'verified', advertised: true };
-        const result = await propertiesCollection.find(query).limit(4).toArray();
-        res.json(result);
+        const result = await propertiesCollection.updateOne(
+          { _id: new ObjectId(id), deletedAt: { $exists: true } },
+          { $unset: { deletedAt: '', deletedBy: '' }, $set: { restoredAt: new Date(), restoredBy: req.user.email } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ error: 'Deleted property not found' });
+        }
+
+        const wishlistRestored = await wishlistCollection.updateMany(
+          { propertyId: id, propertyDeleted: true },
+          { $unset: { propertyDeleted: '' } }
+        );
+
+        res.send({ success: true, restoredWishlistEntries: wishlistRestored.modifiedCount });
       } catch (error) {
-        console.error('Error fetching advertised properties:', error);
-        res.status(500).json({ message: 'Error fetching advertised properties', error: error.message });
+        console.error('Error restoring property:', error);
+        res.status(500).json({ error: 'Failed to restore property' });
       }
     });
 
-    app.delete('/properties/:id', verifyUser, async (req, res) => {
+    // Hard-deletes properties past the retention window (see hardDeleteProperties)
+    const purgeDeletedProperties = () => {
+      const cutoff = new Date(Date.now() - PROPERTY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      return hardDeleteProperties({ deletedAt: { $lte: cutoff } });
+    };
+
+    registerJobRoute('/jobs/purge-deleted-properties', async (req, res) => {
       try {
-        const id = req.params.id;
-        
-        if (!isValidObjectId(id)) {
-          return res.status(400).json({ error: 'Invalid property ID format' });
-        }
-        
-        const query = { _id: new ObjectId(id) };
-        const result = await propertiesCollection.deleteOne(query);
-        res.send(result);
+        const job = await runExclusiveJob('purge-deleted-properties', purgeDeletedProperties);
+        if (!job.acquired) return sendJobRunning(res);
+        res.send({ success: true, retentionDays: PROPERTY_RETENTION_DAYS, deleted: job.result });
       } catch (error) {
-        console.error('Error deleting property:', error);
-        res.status(500).json({ error: 'Failed to delete property' });
+        console.error('Error purging deleted properties:', error);
+        res.status(500).json({ error: 'Failed to purge deleted properties' });
       }
     });
 
     // Wishlist APIs
-    app.get('/wishlist/:email', verifyUser, async (req, res) => {
+    app.get('/wishlist/:email', verifyUser, requireSelfOrAdmin(), async (req, res) => {
       try {
         const email = req.params.email;
         const wishlistItems = await wishlistCollection.find({ userEmail: email }).toArray();
@@ -1324,7 +5528,18 @@ async function run() {
           .map(item => new ObjectId(item.propertyId));
         
         const properties = await propertiesCollection.find({ _id: { $in: validPropertyIds } }).toArray();
-        res.send(properties);
+        const propertiesById = new Map(properties.map(property => [property._id.toString(), property]));
+
+        // Deleted (or already purged) listings stay in the list, flagged, so the
+        // user can see what happened to them and remove the entry
+        const result = wishlistItems.map(item => {
+          const property = propertiesById.get(String(item.propertyId));
+          if (!property) {
+            return { _id: item.propertyId, deleted: true };
+          }
+          return { ...property, saleStatus: saleStatusOf(property), deleted: Boolean(property.deletedAt || item.propertyDeleted) };
+        });
+        res.send(result);
       } catch (error) {
         console.error('Error fetching wishlist:', error);
         res.status(500).json({ error: 'Failed to fetch wishlist' });
@@ -1338,6 +5553,7 @@ async function run() {
         console.log('Request body:', req.body);
         
         const wishlistItem = req.body;
+        wishlistItem.userEmail = req.user.email;
         
         console.log('Adding to wishlist:', wishlistItem);
         
@@ -1354,6 +5570,14 @@ async function run() {
         const result = await wishlistCollection.insertOne(wishlistItem);
         
         console.log('Wishlist item added:', result);
+
+        if (isValidObjectId(wishlistItem.propertyId)) {
+          const property = await propertiesCollection.findOne(
+            { _id: new ObjectId(wishlistItem.propertyId) },
+            { projection: { agentEmail: 1 } }
+          );
+          if (property) recordPropertyEvent(property, 'wishlist', `user:${req.user.email}`);
+        }
         
         res.json({ message: 'Property added to wishlist', success: true, insertedId: result.insertedId });
       } catch (error) {
@@ -1362,7 +5586,7 @@ async function run() {
       }
     });
 
-    app.delete('/wishlist/:email/:propertyId', verifyUser, async (req, res) => {
+    app.delete('/wishlist/:email/:propertyId', verifyUser, requireSelfOrAdmin(), async (req, res) => {
       try {
         const { email, propertyId } = req.params;
         
@@ -1384,28 +5608,335 @@ async function run() {
       }
     });
 
+    // Saved search APIs. runSavedSearchAlerts matches active searches against
+    // listings verified since their last run and mails each user one digest of
+    // the new matches.
+    const findOwnSavedSearch = async (req, res) => {
+      if (!isValidObjectId(req.params.id)) {
+        res.status(400).json({ error: 'Invalid saved search ID format' });
+        return null;
+      }
+      const savedSearch = await savedSearchesCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!savedSearch) {
+        res.status(404).json({ error: 'Saved search not found' });
+        return null;
+      }
+      if (!isOwnerOrAdmin(req.user, savedSearch.userEmail)) {
+        sendNotOwner(res, 'Access denied. You can only manage your own saved searches.');
+        return null;
+      }
+      return savedSearch;
+    };
+
+    app.get('/saved-searches', verifyUser, async (req, res) => {
+      try {
+        const email = req.user.email;
+        const [savedSearches, unseen] = await Promise.all([
+          savedSearchesCollection.find({ userEmail: email }).sort({ createdAt: -1 }).toArray(),
+          searchAlertsCollection.aggregate([
+            { $match: { userEmail: email, seenAt: { $exists: false } } },
+            { $group: { _id: '$savedSearchId', count: { $sum: 1 } } }
+          ]).toArray()
+        ]);
+
+        const unseenCounts = new Map(unseen.map(group => [group._id.toString(), group.count]));
+        res.send(savedSearches.map(savedSearch => ({
+          ...savedSearch,
+          unseenCount: unseenCounts.get(savedSearch._id.toString()) || 0
+        })));
+      } catch (error) {
+        console.error('Error fetching saved searches:', error);
+        res.status(500).json({ error: 'Failed to fetch saved searches' });
+      }
+    });
+
+    app.post('/saved-searches', verifyUser, async (req, res) => {
+      try {
+        const { name, params, paused } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+          return res.status(400).json({ error: 'A name is required' });
+        }
+        const normalized = normalizeSavedSearchParams(params);
+        if (normalized.error) {
+          return res.status(400).json({ error: normalized.error });
+        }
+
+        const count = await savedSearchesCollection.countDocuments({ userEmail: req.user.email });
+        if (count >= MAX_SAVED_SEARCHES) {
+          return res.status(400).json({ error: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
+        }
+
+        // Only listings verified from now on produce alerts
+        const now = new Date();
+        const savedSearch = {
+          userEmail: req.user.email,
+          name: name.trim(),
+          params: normalized.values,
+          paused: paused === true,
+          createdAt: now,
+          updatedAt: now,
+          lastRunAt: now
+        };
+        const result = await savedSearchesCollection.insertOne(savedSearch);
+        res.status(201).json({ success: true, savedSearch: { _id: result.insertedId, ...savedSearch } });
+      } catch (error) {
+        console.error('Error saving search:', error);
+        res.status(500).json({ error: 'Failed to save search' });
+      }
+    });
+
+    // Edits the name or filters, and pauses/resumes with { paused }
+    app.patch('/saved-searches/:id', verifyUser, async (req, res) => {
+      try {
+        const savedSearch = await findOwnSavedSearch(req, res);
+        if (!savedSearch) return;
+
+        const { name, params, paused } = req.body;
+        const now = new Date();
+        const updates = { updatedAt: now };
+        if (name !== undefined) {
+          if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'name cannot be empty' });
+          }
+          updates.name = name.trim();
+        }
+        if (params !== undefined) {
+          const normalized = normalizeSavedSearchParams(params);
+          if (normalized.error) {
+            return res.status(400).json({ error: normalized.error });
+          }
+          updates.params = normalized.values;
+          updates.lastRunAt = now;
+        }
+        if (paused !== undefined) {
+          if (typeof paused !== 'boolean') {
+            return res.status(400).json({ error: 'paused must be true or false' });
+          }
+          updates.paused = paused;
+          // Listings verified while paused don't trigger alerts after resuming
+          if (savedSearch.paused && !paused) updates.lastRunAt = now;
+        }
+
+        await savedSearchesCollection.updateOne({ _id: savedSearch._id }, { $set: updates });
+        res.send({ success: true, savedSearch: { ...savedSearch, ...updates } });
+      } catch (error) {
+        console.error('Error updating saved search:', error);
+        res.status(500).json({ error: 'Failed to update saved search' });
+      }
+    });
+
+    app.delete('/saved-searches/:id', verifyUser, async (req, res) => {
+      try {
+        const savedSearch = await findOwnSavedSearch(req, res);
+        if (!savedSearch) return;
+
+        const result = await savedSearchesCollection.deleteOne({ _id: savedSearch._id });
+        const alerts = await searchAlertsCollection.deleteMany({ savedSearchId: savedSearch._id });
+        res.send({ ...result, deletedAlerts: alerts.deletedCount });
+      } catch (error) {
+        console.error('Error deleting saved search:', error);
+        res.status(500).json({ error: 'Failed to delete saved search' });
+      }
+    });
+
+    // Unseen matches, newest first, skipping listings that have since gone off the market
+    app.get('/saved-searches/matches', verifyUser, async (req, res) => {
+      try {
+        const { savedSearchId } = req.query;
+        const match = { userEmail: req.user.email, seenAt: { $exists: false } };
+        if (savedSearchId) {
+          if (!isValidObjectId(savedSearchId)) {
+            return res.status(400).json({ error: 'Invalid saved search ID format' });
+          }
+          match.savedSearchId = new ObjectId(savedSearchId);
+        }
+        const { page, limit, skip } = parsePagination(req.query, 20);
+
+        const [result] = await searchAlertsCollection.aggregate([
+          { $match: match },
+          { $lookup: { from: 'properties', localField: 'propertyId', foreignField: '_id', as: 'property' } },
+          { $unwind: '$property' },
+          {
+            $match: {
+              'property.status': 'verified',
+              'property.agentFraud': { $ne: true },
+              'property.saleStatus': { $nin: ['sold', 'withdrawn'] },
+              'property.deletedAt': { $exists: false }
+            }
+          },
+          {
+            $facet: {
+              matches: [{ $sort: { matchedAt: -1, _id: -1 } }, { $skip: skip }, { $limit: limit }],
+              total: [{ $count: 'count' }]
+            }
+          }
+        ]).toArray();
+
+        const total = result.total[0] ? result.total[0].count : 0;
+        res.send({ matches: result.matches, total, page, limit, totalPages: Math.ceil(total / limit) });
+      } catch (error) {
+        console.error('Error fetching saved search matches:', error);
+        res.status(500).json({ error: 'Failed to fetch matches' });
+      }
+    });
+
+    // Marks the given matches (or all unseen ones) as seen
+    app.patch('/saved-searches/matches/seen', verifyUser, async (req, res) => {
+      try {
+        const { ids } = req.body;
+        const filter = { userEmail: req.user.email, seenAt: { $exists: false } };
+        if (ids !== undefined) {
+          if (!Array.isArray(ids) || !ids.every(isValidObjectId)) {
+            return res.status(400).json({ error: 'ids must be an array of match IDs' });
+          }
+          filter._id = { $in: ids.map(id => new ObjectId(id)) };
+        }
+
+        const result = await searchAlertsCollection.updateMany(filter, { $set: { seenAt: new Date() } });
+        res.send({ success: true, markedSeen: result.modifiedCount });
+      } catch (error) {
+        console.error('Error marking matches as seen:', error);
+        res.status(500).json({ error: 'Failed to mark matches as seen' });
+      }
+    });
+
+    const sendSavedSearchDigests = async () => {
+      const alerts = await searchAlertsCollection
+        .find({ digestedAt: { $exists: false }, seenAt: { $exists: false } })
+        .sort({ matchedAt: 1 })
+        .toArray();
+      if (alerts.length === 0) return 0;
+
+      const [properties, savedSearches] = await Promise.all([
+        // Listings sold, withdrawn or deleted since they matched are left out of the digest
+        propertiesCollection.find({ _id: { $in: alerts.map(alert => alert.propertyId) }, ...LISTED_PROPERTY_FILTER }).toArray(),
+        savedSearchesCollection.find({ _id: { $in: alerts.map(alert => alert.savedSearchId) } }).toArray()
+      ]);
+      const propertiesById = new Map(properties.map(property => [property._id.toString(), property]));
+      const searchNames = new Map(savedSearches.map(savedSearch => [savedSearch._id.toString(), savedSearch.name]));
+
+      const alertsByUser = new Map();
+      alerts.forEach(alert => {
+        if (!alertsByUser.has(alert.userEmail)) alertsByUser.set(alert.userEmail, []);
+        alertsByUser.get(alert.userEmail).push(alert);
+      });
+
+      let sent = 0;
+      for (const [email, userAlerts] of alertsByUser) {
+        const lines = userAlerts
+          .filter(alert => propertiesById.has(alert.propertyId.toString()))
+          .map(alert => {
+            const property = propertiesById.get(alert.propertyId.toString());
+            const searchName = searchNames.get(alert.savedSearchId.toString()) || 'Saved search';
+            return `- [${searchName}] ${property.title}, ${property.location}${property.priceRange ? ` (${property.priceRange})` : ''}`;
+          });
+
+        // A failed mail is retried on the next run
+        try {
+          if (lines.length > 0) {
+            await sendMail({
+              to: email,
+              subject: `${lines.length} new ${lines.length === 1 ? 'property matches' : 'properties match'} your saved searches`,
+              text: `New listings matching your saved searches:\n\n${lines.join('\n')}`
+            });
+            sent++;
+          }
+          await searchAlertsCollection.updateMany(
+            { _id: { $in: userAlerts.map(alert => alert._id) } },
+            { $set: { digestedAt: new Date() } }
+          );
+        } catch (error) {
+          console.error(`Error sending saved search digest to ${email}:`, error);
+        }
+      }
+      return sent;
+    };
+
+    const runSavedSearchAlerts = async () => {
+      const runAt = new Date();
+      const savedSearches = await savedSearchesCollection.find({ paused: false }).toArray();
+
+      let matches = 0;
+      for (const savedSearch of savedSearches) {
+        const properties = await propertiesCollection.find({
+          ...buildSavedSearchQuery(savedSearch.params),
+          ...LISTED_PROPERTY_FILTER,
+          verifiedAt: { $gt: savedSearch.lastRunAt || savedSearch.createdAt, $lte: runAt },
+          agentEmail: { $ne: savedSearch.userEmail }
+        }, { projection: { _id: 1 } }).toArray();
+
+        // Upserts keep a listing that gets re-verified from alerting twice
+        if (properties.length > 0) {
+          const result = await searchAlertsCollection.bulkWrite(properties.map(property => ({
+            updateOne: {
+              filter: { savedSearchId: savedSearch._id, propertyId: property._id },
+              update: { $setOnInsert: { userEmail: savedSearch.userEmail, matchedAt: runAt } },
+              upsert: true
+            }
+          })));
+          matches += result.upsertedCount;
+        }
+        await savedSearchesCollection.updateOne({ _id: savedSearch._id }, { $set: { lastRunAt: runAt } });
+      }
+
+      const digests = await sendSavedSearchDigests();
+      return { searches: savedSearches.length, matches, digests };
+    };
+
+    registerJobRoute('/jobs/saved-search-alerts', async (req, res) => {
+      try {
+        const job = await runExclusiveJob('saved-search-alerts', runSavedSearchAlerts);
+        if (!job.acquired) return sendJobRunning(res);
+        res.send({ success: true, ...job.result });
+      } catch (error) {
+        console.error('Error running saved search alerts:', error);
+        res.status(500).json({ error: 'Failed to run saved search alerts' });
+      }
+    });
+
     // Offers APIs
-    app.get('/offers/user/:email', verifyUser, async (req, res) => {
+    app.get('/offers/user/:email', verifyUser, requireSelfOrAdmin(), async (req, res) => {
       const email = req.params.email;
       const result = await offersCollection.find({ buyerEmail: email }).toArray();
       res.send(result);
     });
 
-    app.get('/offers/agent/:email', verifyUser, async (req, res) => {
+    app.get('/offers/agent/:email', verifyUser, requireAgent, requireSelfOrAdmin(), async (req, res) => {
       const email = req.params.email;
       const result = await offersCollection.find({ agentEmail: email }).toArray();
       res.send(result);
     });
 
     app.post('/offers', verifyUser, async (req, res) => {
-      const offer = req.body;
-      offer.status = 'pending';
-      offer.createdAt = new Date();
-      const result = await offersCollection.insertOne(offer);
-      res.send(result);
+      try {
+        const offer = req.body;
+
+        if (!isValidObjectId(offer.propertyId)) {
+          return res.status(400).json({ error: 'Invalid property ID format' });
+        }
+        const property = await propertiesCollection.findOne({ _id: new ObjectId(offer.propertyId), ...NOT_DELETED });
+        if (!property) {
+          return res.status(404).json({ error: 'Property not found' });
+        }
+        if (property.agentFraud || property.status !== 'verified' || saleStatusOf(property) !== 'available') {
+          return res.status(400).json({ error: 'This property is not accepting offers' });
+        }
+
+        // Buyer and agent come from the session and the listing, not the client
+        offer.buyerEmail = req.user.email;
+        offer.agentEmail = property.agentEmail;
+        offer.status = 'pending';
+        offer.createdAt = new Date();
+        const result = await offersCollection.insertOne(offer);
+        recordPropertyEvent(property, 'offer', `user:${req.user.email}`);
+        res.send(result);
+      } catch (error) {
+        console.error('Error creating offer:', error);
+        res.status(500).json({ error: 'Failed to create offer' });
+      }
     });
 
-    app.patch('/offers/accept/:id', verifyUser, async (req, res) => {
+    app.patch('/offers/accept/:id', verifyUser, requireAgent, async (req, res) => {
       try {
         const id = req.params.id;
         
@@ -1418,18 +5949,36 @@ async function run() {
         if (!offer) {
           return res.status(404).json({ error: 'Offer not found' });
         }
+        if (!isOwnerOrAdmin(req.user, offer.agentEmail)) {
+          return sendNotOwner(res, 'Access denied. This offer is not on one of your properties.');
+        }
+        if (offer.status !== 'pending') {
+          return res.status(400).json({ error: 'Only pending offers can be accepted' });
+        }
+
+        // Taking the property off the market first means two agents (or two
+        // clicks) can't accept competing offers at the same time
+        const now = new Date();
+        const claimed = await propertiesCollection.updateOne(
+          { _id: new ObjectId(offer.propertyId), saleStatus: { $in: saleStatusFilter(['available']) } },
+          { $set: { saleStatus: 'under-offer', acceptedOfferId: offer._id, saleStatusUpdatedAt: now } }
+        );
+        if (claimed.modifiedCount === 0) {
+          return res.status(409).json({ error: 'This property is no longer available' });
+        }
         
         // Accept this offer
         await offersCollection.updateOne(
           { _id: new ObjectId(id) },
-          { $set: { status: 'accepted' } }
+          { $set: { status: 'accepted', acceptedAt: now } }
         );
         
-        // Reject all other offers for the same property
+        // Reject all other pending offers for the same property
         await offersCollection.updateMany(
           { 
             propertyId: offer.propertyId,
-            _id: { $ne: new ObjectId(id) }
+            _id: { $ne: new ObjectId(id) },
+            status: 'pending'
           },
           { $set: { status: 'rejected' } }
         );
@@ -1441,7 +5990,7 @@ async function run() {
       }
     });
 
-    app.patch('/offers/reject/:id', verifyUser, async (req, res) => {
+    app.patch('/offers/reject/:id', verifyUser, requireAgent, async (req, res) => {
       try {
         const id = req.params.id;
         
@@ -1449,12 +5998,31 @@ async function run() {
           return res.status(400).json({ error: 'Invalid offer ID format' });
         }
         
+        const offer = await offersCollection.findOne({ _id: new ObjectId(id) });
+        if (!offer) {
+          return res.status(404).json({ error: 'Offer not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, offer.agentEmail)) {
+          return sendNotOwner(res, 'Access denied. This offer is not on one of your properties.');
+        }
+        if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+          return res.status(400).json({ error: 'Only open offers can be rejected' });
+        }
+
         const updateDoc = {
           $set: {
             status: 'rejected'
           },
         };
         const result = await offersCollection.updateOne({ _id: new ObjectId(id) }, updateDoc);
+
+        // Backing out of an accepted offer puts the property back on the market
+        if (offer.status === 'accepted') {
+          await propertiesCollection.updateOne(
+            { _id: new ObjectId(offer.propertyId), saleStatus: 'under-offer', acceptedOfferId: offer._id },
+            { $set: { saleStatus: 'available', saleStatusUpdatedAt: new Date() }, $unset: { acceptedOfferId: '' } }
+          );
+        }
         res.send(result);
       } catch (error) {
         console.error('Error rejecting offer:', error);
@@ -1470,14 +6038,44 @@ async function run() {
           return res.status(400).json({ error: 'Invalid offer ID format' });
         }
         
+        const offer = await offersCollection.findOne({ _id: new ObjectId(id) });
+        if (!offer) {
+          return res.status(404).json({ error: 'Offer not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, offer.buyerEmail)) {
+          return sendNotOwner(res, 'Access denied. You can only pay for your own offers.');
+        }
+        if (offer.status !== 'accepted') {
+          return res.status(400).json({ error: 'Only accepted offers can be paid for' });
+        }
+
+        const paymentDate = new Date();
         const updateDoc = {
           $set: {
             status: 'bought',
             transactionId: req.body.transactionId,
-            paymentDate: new Date()
+            paymentDate
           },
         };
         const result = await offersCollection.updateOne({ _id: new ObjectId(id) }, updateDoc);
+
+        const propertyId = new ObjectId(offer.propertyId);
+        await propertiesCollection.updateOne(
+          { _id: propertyId },
+          {
+            $set: {
+              saleStatus: 'sold',
+              saleStatusUpdatedAt: paymentDate,
+              soldAt: paymentDate,
+              soldTo: offer.buyerEmail,
+              soldPrice: offer.offeredAmount,
+              advertised: false
+            },
+            $unset: { acceptedOfferId: '' }
+          }
+        );
+        await cancelPropertyCampaigns(propertyId, 'system');
+        recordPropertyEvent({ _id: propertyId, agentEmail: offer.agentEmail }, 'sale', `user:${offer.buyerEmail}`);
         res.send(result);
       } catch (error) {
         console.error('Error updating offer to bought:', error);
@@ -1485,6 +6083,115 @@ async function run() {
       }
     });
 
+    // Per-listing funnel for an agent over a date range: views, wishlist
+    // saves, offers, offer conversion rate and time from verification to sale
+    app.get('/analytics/agent/:email', verifyUser, requireAgent, requireSelfOrAdmin(), async (req, res) => {
+      try {
+        const email = req.params.email;
+        const { range, error: rangeError } = parseDateRange(req.query);
+        if (rangeError) {
+          return res.status(400).json({ error: rangeError });
+        }
+
+        const eventCount = (type) => ({
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$events', cond: { $eq: ['$$this._id', type] } } },
+              in: '$$this.count'
+            }
+          }
+        });
+        const soldInRange = { $and: ['$soldAt', { $gte: ['$soldAt', range.from] }, { $lte: ['$soldAt', range.to] }] };
+
+        const [result] = await propertiesCollection.aggregate([
+          { $match: { agentEmail: email, ...NOT_DELETED } },
+          {
+            $lookup: {
+              from: 'propertyEvents',
+              let: { propertyId: '$_id' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: { $eq: ['$propertyId', '$$propertyId'] },
+                    occurredAt: { $gte: range.from, $lte: range.to }
+                  }
+                },
+                { $group: { _id: '$type', count: { $sum: 1 } } }
+              ],
+              as: 'events'
+            }
+          },
+          {
+            $project: {
+              title: 1,
+              location: 1,
+              status: 1,
+              saleStatus: { $ifNull: ['$saleStatus', 'available'] },
+              createdAt: 1,
+              soldAt: 1,
+              views: eventCount('view'),
+              saves: eventCount('wishlist'),
+              offers: eventCount('offer'),
+              timeToSaleDays: {
+                $cond: [
+                  soldInRange,
+                  { $round: [{ $divide: [{ $subtract: ['$soldAt', { $ifNull: ['$verifiedAt', '$createdAt'] }] }, 24 * 60 * 60 * 1000] }, 1] },
+                  null
+                ]
+              }
+            }
+          },
+          {
+            $set: {
+              conversionRate: {
+                $cond: [{ $gt: ['$views', 0] }, { $round: [{ $multiply: [{ $divide: ['$offers', '$views'] }, 100] }, 2] }, 0]
+              }
+            }
+          },
+          {
+            $facet: {
+              listings: [{ $sort: { views: -1, _id: 1 } }],
+              totals: [
+                {
+                  $group: {
+                    _id: null,
+                    listings: { $sum: 1 },
+                    views: { $sum: '$views' },
+                    saves: { $sum: '$saves' },
+                    offers: { $sum: '$offers' },
+                    sold: { $sum: { $cond: [{ $ne: ['$timeToSaleDays', null] }, 1, 0] } },
+                    averageTimeToSaleDays: { $avg: '$timeToSaleDays' }
+                  }
+                },
+                {
+                  $project: {
+                    _id: 0,
+                    listings: 1,
+                    views: 1,
+                    saves: 1,
+                    offers: 1,
+                    sold: 1,
+                    averageTimeToSaleDays: { $round: ['$averageTimeToSaleDays', 1] },
+                    conversionRate: {
+                      $cond: [{ $gt: ['$views', 0] }, { $round: [{ $multiply: [{ $divide: ['$offers', '$views'] }, 100] }, 2] }, 0]
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        ]).toArray();
+
+        const totals = result.totals[0] || {
+          listings: 0, views: 0, saves: 0, offers: 0, sold: 0, averageTimeToSaleDays: null, conversionRate: 0
+        };
+        res.send({ from: range.from, to: range.to, totals, listings: result.listings });
+      } catch (error) {
+        console.error('Error fetching agent analytics:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
+      }
+    });
+
     // Reviews APIs
     app.get('/reviews', async (req, res) => {
       const result = await reviewsCollection.find().sort({ createdAt: -1 }).limit(3).toArray();
@@ -1497,7 +6204,7 @@ async function run() {
       res.send(result);
     });
 
-    app.get('/reviews/user/:email', verifyUser, async (req, res) => {
+    app.get('/reviews/user/:email', verifyUser, requireSelfOrAdmin(), async (req, res) => {
       try {
         const email = req.params.email;
         // Check both userEmail and reviewerEmail for compatibility
@@ -1519,13 +6226,10 @@ async function run() {
         const review = req.body;
         review.createdAt = new Date();
         
-        // Ensure we have both email fields for compatibility
-        if (review.userEmail && !review.reviewerEmail) {
-          review.reviewerEmail = review.userEmail;
-        }
-        if (review.reviewerEmail && !review.userEmail) {
-          review.userEmail = review.reviewerEmail;
-        }
+        // Reviews are always written as the signed-in user; both email
+        // fields are kept for compatibility
+        review.reviewerEmail = req.user.email;
+        review.userEmail = req.user.email;
         
         console.log('Saving review:', review);
         
@@ -1546,6 +6250,14 @@ async function run() {
         }
         
         const query = { _id: new ObjectId(id) };
+        const review = await reviewsCollection.findOne(query);
+        if (!review) {
+          return res.status(404).json({ error: 'Review not found' });
+        }
+        if (!isOwnerOrAdmin(req.user, review.reviewerEmail, review.userEmail)) {
+          return sendNotOwner(res, 'Access denied. You can only delete your own reviews.');
+        }
+
         const result = await reviewsCollection.deleteOne(query);
         res.send(result);
       } catch (error) {
@@ -1568,13 +6280,14 @@ async function run() {
     });
 
     // Reports API (Optional)
-    app.get('/reports', verifyUser, async (req, res) => {
+    app.get('/reports', verifyUser, requireAdmin, async (req, res) => {
       const result = await reportsCollection.find().toArray();
       res.send(result);
     });
 
     app.post('/reports', verifyUser, async (req, res) => {
       const report = req.body;
+      report.reporterEmail = req.user.email;
       report.createdAt = new Date();
       const result = await reportsCollection.insertOne(report);
       res.send(result);